@@ -10,9 +10,219 @@ let catSound;       // Cat meow sound element
 let isMusicPlaying = false; // Tracks music state
 let isFrontCamera = true;  // Tracks camera direction
 let animationFrame = 0; // For animations
-let lastMouthOpenTime = 0;    // For sound cooldown
-let mouthOpenThreshold = 0.15; // Threshold for mouth opening detection
 let soundCooldown = 500; // Cooldown time in milliseconds between meows
+let filterRegistry = new Map(); // Registered filters keyed by id
+let activeFilterIds = [];       // Ids of active filters, in activation order
+let filterCarousel;             // Filter picker element inside the AR view
+let thumbnailSize = 128;        // Resolution of the filter thumbnails in pixels
+let layerCanvas;                // Offscreen canvas each filter layer is drawn on
+let layerCtx;                   // Context of the offscreen layer canvas
+let landmarkSmoothers = new Map(); // Landmark smoothers keyed by face and smoothing settings
+let failedFilterIds = new Set();   // Filters whose draw function threw, warned about once
+let captureFullSensor = false;  // Capture the whole camera frame instead of what the preview shows
+
+/**
+ * Registers a filter so it can be listed and activated by id
+ * @param {string} id - Unique filter id
+ * @param {Object} filter - Filter definition
+ * @param {string} filter.name - Display name of the filter
+ * @param {Function} filter.draw - Draw function called with the face landmarks and face transform
+ * @param {boolean} [filter.followHeadPose=true] - Draw through the face transform so shapes rotate with the head
+ * @param {Object|false} [filter.smoothing] - Landmark smoothing parameters, or false for raw landmarks
+ * @param {number} [filter.zIndex=0] - Default stacking order, higher is drawn on top
+ * @param {number} [filter.opacity=1] - Default layer opacity from 0 to 1
+ * @param {string} [filter.blendMode='source-over'] - Default canvas composite operation
+ * @param {boolean} [filter.behind=false] - Hide the layer where it overlaps a face
+ * @param {boolean} [filter.occludeHair=false] - When behind, hide it behind the hair too
+ * @param {Object<string, Function>} [filter.expressions] - Handlers keyed by expression event name,
+ *        called with the event detail when a face wearing the filter makes the expression
+ * @returns {boolean} True if the filter was registered
+ */
+function registerFilter(id, filter) {
+    if (!filter || typeof filter.draw !== 'function') {
+        console.warn(`Filter "${id}" needs a draw function`);
+        return false;
+    }
+    if (filterRegistry.has(id)) {
+        console.warn(`Filter "${id}" is already registered`);
+        return false;
+    }
+    filterRegistry.set(id, {
+        id,
+        name: filter.name || id,
+        draw: filter.draw,
+        followHeadPose: filter.followHeadPose !== false,
+        smoothing: normalizeSmoothing(filter.smoothing),
+        expressions: filter.expressions || {},
+        layer: {
+            zIndex: filter.zIndex || 0,
+            opacity: filter.opacity ?? 1,
+            blendMode: filter.blendMode || 'source-over',
+            behind: filter.behind === true,
+            occludeHair: filter.occludeHair === true
+        }
+    });
+    buildFilterCarousel();
+    return true;
+}
+
+/**
+ * Lists all registered filters with their active state
+ * @returns {Array<{id: string, name: string, active: boolean}>}
+ */
+function listFilters() {
+    return Array.from(filterRegistry.values(), filter => ({
+        id: filter.id,
+        name: filter.name,
+        active: activeFilterIds.includes(filter.id)
+    }));
+}
+
+/**
+ * Activates a registered filter so onResults draws it
+ * @param {string} id - Filter id
+ * @param {Object} [layer] - Layer settings overriding the filter defaults
+ * @returns {boolean} True if the filter is active afterwards
+ */
+function activateFilter(id, layer) {
+    if (!filterRegistry.has(id)) {
+        console.warn(`Unknown filter "${id}"`);
+        return false;
+    }
+    if (layer) {
+        setFilterLayer(id, layer);
+    }
+    if (!activeFilterIds.includes(id)) {
+        activeFilterIds.push(id);
+    }
+    updateFilterCarousel();
+    return true;
+}
+
+/**
+ * Deactivates a filter so onResults stops drawing it
+ * @param {string} id - Filter id
+ * @returns {boolean} True if the filter was active
+ */
+function deactivateFilter(id) {
+    const index = activeFilterIds.indexOf(id);
+    if (index === -1) return false;
+    activeFilterIds.splice(index, 1);
+    updateFilterCarousel();
+    return true;
+}
+
+/**
+ * Makes the given filter the only active one
+ * @param {string} id - Filter id
+ * @returns {boolean} True if the filter is active afterwards
+ */
+function selectFilter(id) {
+    if (!filterRegistry.has(id)) {
+        console.warn(`Unknown filter "${id}"`);
+        return false;
+    }
+    activeFilterIds.filter(activeId => activeId !== id).forEach(deactivateFilter);
+    return activateFilter(id);
+}
+
+/**
+ * Makes the filter after the current one the only active filter, wrapping around
+ * @returns {boolean} True if a filter was selected
+ */
+function selectNextFilter() {
+    const ids = Array.from(filterRegistry.keys());
+    if (ids.length === 0) return false;
+    const current = ids.indexOf(activeFilterIds[0]);
+    return selectFilter(ids[(current + 1) % ids.length]);
+}
+
+/**
+ * Updates the layer settings of a filter
+ * @param {string} id - Filter id
+ * @param {Object} layer - Layer settings to change
+ * @param {number} [layer.zIndex] - Stacking order, higher is drawn on top
+ * @param {number} [layer.opacity] - Layer opacity from 0 to 1
+ * @param {string} [layer.blendMode] - Canvas composite operation used to draw the layer
+ * @param {boolean} [layer.behind] - Hide the layer where it overlaps a face
+ * @param {boolean} [layer.occludeHair] - When behind, hide it behind the hair too
+ * @returns {boolean} True if the filter exists
+ */
+function setFilterLayer(id, layer) {
+    const filter = filterRegistry.get(id);
+    if (!filter) {
+        console.warn(`Unknown filter "${id}"`);
+        return false;
+    }
+    if (layer.zIndex !== undefined) {
+        filter.layer.zIndex = layer.zIndex;
+    }
+    if (layer.opacity !== undefined) {
+        filter.layer.opacity = Math.min(Math.max(layer.opacity, 0), 1);
+    }
+    if (layer.blendMode !== undefined) {
+        filter.layer.blendMode = layer.blendMode;
+    }
+    if (layer.behind !== undefined) {
+        filter.layer.behind = layer.behind === true;
+    }
+    if (layer.occludeHair !== undefined) {
+        filter.layer.occludeHair = layer.occludeHair === true;
+    }
+    return true;
+}
+
+/**
+ * Changes how much a filter's landmarks are smoothed over time
+ * @param {string} id - Filter id
+ * @param {Object|false} smoothing - One Euro parameters (minCutoff, beta, dCutoff),
+ *                                   or false to draw from raw landmarks
+ * @returns {boolean} True if the filter exists
+ */
+function setFilterSmoothing(id, smoothing) {
+    const filter = filterRegistry.get(id);
+    if (!filter) {
+        console.warn(`Unknown filter "${id}"`);
+        return false;
+    }
+    filter.smoothing = normalizeSmoothing(smoothing);
+    return true;
+}
+
+/**
+ * Fills in the default smoothing parameters
+ */
+function normalizeSmoothing(smoothing) {
+    if (smoothing === false) return false;
+    return { ...DEFAULT_SMOOTHING, ...smoothing };
+}
+
+/**
+ * Returns filters ordered bottom to top
+ * Filters with the same z-index keep their activation order.
+ * @param {Iterable<string>} [ids] - Filter ids to stack, the active filters by default
+ */
+function getLayerStack(ids = activeFilterIds) {
+    return Array.from(ids, id => filterRegistry.get(id))
+        .sort((a, b) => a.layer.zIndex - b.layer.zIndex);
+}
+
+// Register the built-in filters
+registerFilter('powerRangeMask', { name: 'Power Ranger', draw: applyPowerRangeMask, zIndex: 1 });
+registerFilter('cat', { name: 'Cat', draw: drawSnapchatFilter, zIndex: 1 });
+registerFilter('jewelNecklace', { name: 'Necklace', draw: drawJewelNecklace });
+registerFilter('dancingTeddy', { name: 'Teddy', draw: drawDancingTeddy, zIndex: -1, behind: true });
+activateFilter('powerRangeMask');
+
+// Pass expression events on to the filters the face is wearing
+EXPRESSION_EVENTS.forEach(name => {
+    expressionEvents.addEventListener(name, event => {
+        for (const id of getFaceFilterIds(event.detail.faceId)) {
+            const handler = filterRegistry.get(id)?.expressions[name];
+            if (handler) handler(event.detail);
+        }
+    });
+});
 
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
@@ -20,15 +230,96 @@ document.addEventListener('DOMContentLoaded', () => {
     video = document.getElementById('camera');
     canvas = document.getElementById('overlay');
     ctx = canvas.getContext('2d');
+    layerCanvas = document.createElement('canvas');
+    layerCtx = layerCanvas.getContext('2d');
     bgMusic = document.getElementById('bgMusic');
     catSound = document.getElementById('catSound');
 
     // Set up event listeners for controls
-    document.getElementById('startAR').addEventListener('click', startAR);
+    document.getElementById('startAR').addEventListener('click', () => {
+        // Each press of Start is a new visitor with their own gallery
+        startGuestSession();
+        startAR();
+    });
     document.getElementById('exitAR').addEventListener('click', stopAR);
     document.getElementById('toggleMusic').addEventListener('click', toggleMusic);
-    document.getElementById('takePhoto').addEventListener('click', takePhoto);
+    document.getElementById('takePhoto').addEventListener('click', requestPhoto);
+    document.getElementById('countdownSelect').addEventListener('change', event => {
+        setCountdownSeconds(Number(event.target.value));
+    });
+    document.getElementById('startBurst').addEventListener('click', () => {
+        if (burstShots) cancelBurst();
+        else startBurst();
+    });
+    document.getElementById('stripHeaderText').addEventListener('input', event => {
+        setPhotoStripStyle({ headerText: event.target.value });
+    });
+    document.getElementById('stripTheme').addEventListener('change', event => {
+        setPhotoStripStyle({ theme: event.target.value });
+    });
+    document.getElementById('captureFullSensor').addEventListener('change', event => {
+        captureFullSensor = event.target.checked;
+    });
+    document.getElementById('uploadCaptures').addEventListener('change', event => {
+        uploadCaptures = event.target.checked;
+    });
+    document.getElementById('toggleRecording').addEventListener('click', toggleRecording);
+    document.getElementById('recordMicrophone').addEventListener('change', event => {
+        recordMicrophone = event.target.checked;
+    });
+    document.getElementById('captureClip').addEventListener('click', startClipCapture);
+    document.getElementById('clipPreset').addEventListener('change', event => {
+        clipPreset = event.target.value;
+    });
+    document.getElementById('clipBoomerang').addEventListener('change', event => {
+        clipBoomerang = event.target.checked;
+    });
     document.getElementById('toggleCamera').addEventListener('click', toggleCamera);
+    document.getElementById('toggleGroup').addEventListener('click', toggleGroupMode);
+    document.getElementById('backgroundSelect').addEventListener('change', changeBackground);
+    document.getElementById('backgroundUpload').addEventListener('change', uploadBackground);
+
+    // Show a hint while no face is in view
+    const faceHint = document.getElementById('faceHint');
+    facePresenceEvents.addEventListener('facelost', () => faceHint.classList.remove('hidden'));
+    facePresenceEvents.addEventListener('facefound', () => faceHint.classList.add('hidden'));
+
+    // Restore the operator's gesture bindings and wire the settings panel
+    loadGestureBindings();
+    document.getElementById('toggleSettings').addEventListener('click', toggleSettings);
+    document.getElementById('applyGestureBindings').addEventListener('click', applyGestureBindingJson);
+    document.getElementById('resetGestureBindings').addEventListener('click', resetGestureBindings);
+
+    // Dismiss a share code by tapping it
+    document.getElementById('shareCode').addEventListener('click', hideShareCode);
+
+    // Gallery drawer and viewer, showing the captures of this guest session
+    loadGuestSession();
+    document.getElementById('toggleGallery').addEventListener('click', toggleGallery);
+    document.getElementById('closeGalleryViewer').addEventListener('click', closeGalleryViewer);
+    document.getElementById('downloadGalleryItem').addEventListener('click', () => downloadGalleryItem(galleryViewedId));
+    document.getElementById('deleteGalleryItem').addEventListener('click', () => deleteGalleryItem(galleryViewedId));
+    const shareButton = document.getElementById('shareGalleryItem');
+    shareButton.hidden = !navigator.canShare;
+    shareButton.addEventListener('click', () => shareGalleryItem(galleryViewedId));
+
+    // Ask for a closed mouth while the mouth detection calibrates
+    const calibrationHint = document.getElementById('calibrationHint');
+    expressionEvents.addEventListener('calibrationend', () => calibrationHint.classList.add('hidden'));
+    expressionEvents.addEventListener('calibrationcancel', () => calibrationHint.classList.add('hidden'));
+
+    // Build the filter picker
+    filterCarousel = document.getElementById('filterCarousel');
+    buildFilterCarousel();
+
+    // Add the filters designers authored as JSON, listed in filters/index.json
+    loadFilterManifest();
+
+    // Register the built-in face paints
+    registerFacePaint('tigerPaint', { name: 'Tiger', src: createTigerPaintTexture(512), opacity: 0.9 });
+
+    // Initialize the person segmentation used by the background modes
+    initBackground();
 
     // Initialize MediaPipe Face Mesh
     faceMesh = new FaceMesh({
@@ -39,7 +330,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Configure face mesh options
     faceMesh.setOptions({
-        maxNumFaces: 1,          // Track only one face
+        maxNumFaces: isGroupMode ? groupMaxFaces : 1, // Track one face unless in group mode
         refineLandmarks: true,   // Use refined landmarks
         minDetectionConfidence: 0.5,  // Minimum confidence for detection
         minTrackingConfidence: 0.5    // Minimum confidence for tracking
@@ -70,6 +361,10 @@ async function startAR() {
         // Show AR view and start face detection
         document.getElementById('arView').classList.remove('hidden');
         isARActive = true;
+
+        // Learn this user's closed mouth before listening for it opening
+        startMouthCalibration();
+        document.getElementById('calibrationHint').classList.remove('hidden');
         detectFace();
     } catch (error) {
         console.error('Error accessing camera:', error);
@@ -89,10 +384,25 @@ async function toggleCamera() {
 }
 
 /**
- * Captures the current AR view as a photo
+ * Captures the current AR view as a photo and keeps it in the gallery
+ * Once it is uploaded, a QR code to fetch it on a phone is shown.
  */
 function takePhoto() {
-    if (!isARActive) return;
+    const photo = captureView();
+    if (!photo) return;
+
+    photo.toBlob(async blob => {
+        const item = await saveCapture(blob, 'photo');
+        if (item.uploadId) showShareCode(item.uploadId);
+    }, 'image/png');
+}
+
+/**
+ * Grabs the current AR view with the capture sound, as used by every photo mode
+ * @returns {HTMLCanvasElement|null} Canvas holding the view, or null when AR is not running
+ */
+function captureView() {
+    if (!isARActive) return null;
 
     // Play the capture sound
     const captureSound = document.getElementById('captureSound');
@@ -108,21 +418,73 @@ function takePhoto() {
         });
     }
 
-    // Create a temporary canvas to combine video and overlay
+    // Create a temporary canvas to combine video and overlay, at camera resolution
+    const region = getCaptureRegion();
     const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = canvas.width;
-    tempCanvas.height = canvas.height;
+    tempCanvas.width = Math.round(region.width);
+    tempCanvas.height = Math.round(region.height);
     const tempCtx = tempCanvas.getContext('2d');
 
     // Draw the video frame and overlay
-    tempCtx.drawImage(video, 0, 0, canvas.width, canvas.height);
-    tempCtx.drawImage(canvas, 0, 0);
+    drawCompositedView(tempCtx, tempCanvas.width, tempCanvas.height);
+    return tempCanvas;
+}
 
-    // Download the combined image
-    const link = document.createElement('a');
-    link.download = 'ar-photo.png';
-    link.href = tempCanvas.toDataURL();
-    link.click();
+/**
+ * Draws the camera frame with the overlay on top, as shown in the AR view
+ * Only the part of the frame visible in the preview is drawn, mirrored if the
+ * preview is, unless captureFullSensor is set. A replaced background is part
+ * of the overlay.
+ * @param {CanvasRenderingContext2D} targetCtx - Context to draw into
+ * @param {number} width - Width to draw at
+ * @param {number} height - Height to draw at
+ */
+function drawCompositedView(targetCtx, width, height) {
+    const region = getCaptureRegion();
+    targetCtx.save();
+    if (region.mirrored) {
+        targetCtx.translate(width, 0);
+        targetCtx.scale(-1, 1);
+    }
+    targetCtx.drawImage(video, region.x, region.y, region.width, region.height, 0, 0, width, height);
+    targetCtx.drawImage(canvas, region.x, region.y, region.width, region.height, 0, 0, width, height);
+    targetCtx.restore();
+}
+
+/**
+ * Works out which part of the camera frame the preview shows
+ * The preview scales the frame with object-fit: cover, so on a screen of a
+ * different shape the sides or the top and bottom are cut off.
+ * @returns {{x: number, y: number, width: number, height: number, mirrored: boolean}}
+ *          Visible area in camera pixels, and whether the preview is mirrored
+ */
+function getCaptureRegion() {
+    const frameWidth = canvas.width;
+    const frameHeight = canvas.height;
+    const viewWidth = video.clientWidth;
+    const viewHeight = video.clientHeight;
+    const style = getComputedStyle(video);
+    const mirrored = style.transform !== 'none' && new DOMMatrixReadOnly(style.transform).a < 0;
+    if (captureFullSensor || !viewWidth || !viewHeight || !frameWidth || !frameHeight) {
+        return { x: 0, y: 0, width: frameWidth, height: frameHeight, mirrored };
+    }
+
+    // Scale of the cover fit, and the frame area that fills the view
+    const scale = Math.max(viewWidth / frameWidth, viewHeight / frameHeight);
+    const width = Math.min(frameWidth, viewWidth / scale);
+    const height = Math.min(frameHeight, viewHeight / scale);
+
+    // object-position decides where the crop sits, centred by default
+    const keywords = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 };
+    const [positionX, positionY] = (style.objectPosition || '').split(' ').map(value =>
+        value.endsWith('%') ? parseFloat(value) / 100 : keywords[value] ?? 0.5);
+    return {
+        x: (frameWidth - width) * (positionX ?? 0.5),
+        y: (frameHeight - height) * (positionY ?? 0.5),
+        width,
+        height,
+        mirrored
+    };
 }
 
 /**
@@ -148,6 +510,18 @@ function stopAR() {
     }
     document.getElementById('arView').classList.add('hidden');
     isARActive = false;
+    resetFaceTracker();
+    resetFacePresence();
+    segmentationMask = null;
+    cancelMouthCalibration();
+    cancelGestureActions();
+    cancelPhotoCountdown();
+    cancelBurst();
+    stopRecording();
+    cancelClipCapture();
+    hideShareCode();
+    document.getElementById('faceHint').classList.add('hidden');
+    document.getElementById('calibrationHint').classList.add('hidden');
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 }
 
@@ -168,6 +542,46 @@ function toggleMusic() {
     isMusicPlaying = !isMusicPlaying;
 }
 
+/**
+ * Applies the background chosen in the background picker
+ */
+function changeBackground(event) {
+    const mode = event.target.value;
+    if (mode === 'image' && !backgroundImage) {
+        // Ask for a picture first; the picker switches back if none is chosen
+        event.target.value = backgroundMode;
+        document.getElementById('backgroundUpload').click();
+        return;
+    }
+    if (mode.startsWith('scene:')) {
+        setBackgroundMode('scene', { scene: mode.slice('scene:'.length) });
+    } else {
+        setBackgroundMode(mode);
+    }
+}
+
+/**
+ * Uses a picture chosen by the user as the background
+ */
+function uploadBackground(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    const image = new Image();
+    image.onload = () => URL.revokeObjectURL(image.src);
+    image.src = URL.createObjectURL(file);
+    if (setBackgroundMode('image', { src: image })) {
+        document.getElementById('backgroundSelect').value = 'image';
+    }
+    event.target.value = '';
+}
+
+/**
+ * Shows or hides the settings panel
+ */
+function toggleSettings() {
+    document.getElementById('settingsPanel').classList.toggle('hidden');
+}
+
 /**
  * Sets up face detection using MediaPipe
  */
@@ -178,6 +592,7 @@ function detectFace() {
     camera = new Camera(video, {
         onFrame: async () => {
             if (isARActive && video.readyState === 4) {
+                await segmentFrame(video);
                 await faceMesh.send({image: video});
             }
         },
@@ -346,42 +761,273 @@ function onResults(results) {
 
     // Clear previous frame
     ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const timestamp = performance.now();
+
+    // Replace the background behind the person, under the filter layers
+    drawBackground(results.image, timestamp);
 
     // Process detected faces
-    if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-        for (const landmarks of results.multiFaceLandmarks) {
-            // Check for mouth opening and play meow sound
-            checkMouthOpening(landmarks);
-            
-            // Apply PowerRangeMask effect
-            applyPowerRangeMask(landmarks);
-        }
+    const faces = results.multiFaceLandmarks || [];
+    const faceIds = trackFaces(faces, timestamp);
+    faces.forEach((landmarks, i) => {
+        // Detect expressions on the raw landmarks; listeners play sounds and animate filters
+        detectExpressions(landmarks, faceIds[i], timestamp);
+    });
+
+    // Keep briefly lost faces on screen and fade faces in and out
+    const visible = updateFacePresence(faces, faceIds, timestamp);
+    if (visible.faces.length > 0) {
+        // Draw each face's filters as layers
+        drawFilterLayers(visible.faces, visible.faceIds, visible.opacities, timestamp);
+    } else {
+        // Start smoothing afresh when a face comes back
+        landmarkSmoothers.clear();
     }
 
     // Update animation frame
     animationFrame = (animationFrame + 1) % 60;
+
+    // Keep the carousel thumbnails animated
+    if (animationFrame % 15 === 0) {
+        refreshFilterThumbnails();
+    }
+
+    // Run the gesture actions of this frame now that it is drawn
+    runPendingGestureActions();
+
+    // Draw the photo countdown on top of everything, or take the photo
+    updatePhotoCountdown(timestamp);
+
+    // Record the finished frame
+    updateRecording();
+    updateClipCapture(timestamp);
 }
 
 /**
- * Detects mouth opening and triggers meow sound
+ * Draws the filters of all faces, one layer at a time
+ * Each layer is rendered offscreen first so its opacity and blend mode apply
+ * to the layer as a whole rather than to every shape inside it. Faces that are
+ * fading in or out are composited separately with their own opacity.
  */
-function checkMouthOpening(landmarks) {
-    // Get mouth landmarks
-    const upperLip = landmarks[13]; // Upper lip center
-    const lowerLip = landmarks[14]; // Lower lip center
-    
-    // Calculate mouth opening distance
-    const mouthOpenDistance = Math.hypot(
-        (lowerLip.x - upperLip.x) * canvas.width,
-        (lowerLip.y - upperLip.y) * canvas.height
-    );
+function drawFilterLayers(faces, faceIds, opacities, timestamp) {
+    layerCanvas.width = canvas.width;
+    layerCanvas.height = canvas.height;
+
+    // Smooth the landmarks and estimate the head pose once per face and smoothing setting
+    const prepared = new Map();
+    const prepareFace = (i, smoothing) => {
+        const key = `${faceIds[i]}:${JSON.stringify(smoothing)}`;
+        if (!prepared.has(key)) {
+            let landmarks = faces[i];
+            if (smoothing) {
+                if (!landmarkSmoothers.has(key)) {
+                    landmarkSmoothers.set(key, createLandmarkSmoother(smoothing));
+                }
+                landmarks = landmarkSmoothers.get(key).smooth(landmarks, timestamp);
+            }
+            prepared.set(key, { landmarks, transform: getFaceTransform(landmarks) });
+        }
+        return prepared.get(key);
+    };
+
+    // Stack every filter worn by at least one face
+    const faceFilterIds = faceIds.map(getFaceFilterIds);
+    const usedFilterIds = new Set(faceFilterIds.flat());
+
+    for (const filter of getLayerStack(usedFilterIds)) {
+        // Group the faces wearing this filter by opacity
+        const groups = new Map();
+        faces.forEach((_, i) => {
+            if (!faceFilterIds[i].includes(filter.id)) return;
+            if (!groups.has(opacities[i])) {
+                groups.set(opacities[i], []);
+            }
+            groups.get(opacities[i]).push(i);
+        });
+
+        groups.forEach((faceIndexes, faceOpacity) => {
+            layerCtx.clearRect(0, 0, layerCanvas.width, layerCanvas.height);
+            drawOnCanvas(layerCanvas, layerCtx, () => {
+                for (const i of faceIndexes) {
+                    const { landmarks, transform } = prepareFace(i, filter.smoothing);
+                    ctx.save();
+                    // A broken filter must not stop the frame, and with it captures and recordings
+                    try {
+                        if (filter.followHeadPose) {
+                            // Lay the filter out on the upright face, then rotate it onto the head
+                            applyFaceTransform(transform);
+                            filter.draw(transform.landmarks, transform);
+                        } else {
+                            filter.draw(landmarks, transform);
+                        }
+                    } catch (error) {
+                        if (!failedFilterIds.has(filter.id)) {
+                            failedFilterIds.add(filter.id);
+                            console.warn(`Error drawing filter "${filter.id}":`, error);
+                        }
+                    }
+                    ctx.restore();
+                }
+            });
+
+            // Layers behind the head only show around the faces
+            if (filter.layer.behind) {
+                const heads = faces.map((_, i) => prepareFace(i, filter.smoothing).landmarks);
+                cutOutHeads(layerCtx, heads, filter.layer.occludeHair);
+            }
+
+            ctx.save();
+            ctx.globalAlpha = filter.layer.opacity * faceOpacity;
+            ctx.globalCompositeOperation = filter.layer.blendMode;
+            ctx.drawImage(layerCanvas, 0, 0);
+            ctx.restore();
+        });
+    }
+
+    // Forget smoothers no active filter used this frame
+    for (const key of landmarkSmoothers.keys()) {
+        if (!prepared.has(key)) {
+            landmarkSmoothers.delete(key);
+        }
+    }
+}
+
+/**
+ * Runs a draw callback with the global canvas pointed at another canvas
+ * Filters draw on the global canvas and context, so this lets them render
+ * into offscreen layers and thumbnails.
+ */
+function drawOnCanvas(targetCanvas, targetCtx, draw) {
+    const overlayCanvas = canvas;
+    const overlayCtx = ctx;
+    canvas = targetCanvas;
+    ctx = targetCtx;
+    try {
+        draw();
+    } finally {
+        canvas = overlayCanvas;
+        ctx = overlayCtx;
+    }
+}
+
+/**
+ * Builds landmarks for a neutral, front-facing canonical face
+ * @returns {Array<{x: number, y: number, z: number}>} Normalized landmarks
+ */
+function getCanonicalFaceLandmarks() {
+    // Leave room above for ears and below for the necklace
+    return FACE_UV_COORDS.map(([u, v]) => ({
+        x: 0.2 + u * 0.6,
+        y: 0.22 + v * 0.5,
+        z: 0
+    }));
+}
+
+/**
+ * Renders a filter on the canonical face into a thumbnail canvas
+ */
+function renderFilterThumbnail(filter, thumbnail) {
+    const landmarks = getCanonicalFaceLandmarks();
+    const thumbnailCtx = thumbnail.getContext('2d');
+    thumbnailCtx.clearRect(0, 0, thumbnail.width, thumbnail.height);
+
+    // Draw the face outline the filter is applied to
+    thumbnailCtx.beginPath();
+    FACE_SILHOUETTE.forEach((index, i) => {
+        const x = landmarks[index].x * thumbnail.width;
+        const y = landmarks[index].y * thumbnail.height;
+        if (i === 0) thumbnailCtx.moveTo(x, y);
+        else thumbnailCtx.lineTo(x, y);
+    });
+    thumbnailCtx.closePath();
+    thumbnailCtx.fillStyle = 'rgba(241, 194, 125, 0.9)';
+    thumbnailCtx.fill();
+
+    // Draw the filter with its layer opacity on top
+    try {
+        drawOnCanvas(thumbnail, thumbnailCtx, () => {
+            ctx.save();
+            ctx.globalAlpha = filter.layer.opacity;
+            filter.draw(landmarks);
+            ctx.restore();
+        });
+    } catch (error) {
+        console.error(`Error rendering thumbnail for "${filter.id}":`, error);
+    }
+}
+
+/**
+ * Creates one carousel item per registered filter
+ */
+function buildFilterCarousel() {
+    if (!filterCarousel) return;
+
+    filterCarousel.innerHTML = '';
+    filterRegistry.forEach(filter => {
+        const item = document.createElement('button');
+        item.className = 'filter-item';
+        item.dataset.filterId = filter.id;
+        item.title = filter.name;
+
+        const thumbnail = document.createElement('canvas');
+        thumbnail.width = thumbnailSize;
+        thumbnail.height = thumbnailSize;
+        thumbnail.className = 'filter-thumbnail';
+        renderFilterThumbnail(filter, thumbnail);
+
+        const label = document.createElement('span');
+        label.className = 'filter-label';
+        label.textContent = filter.name;
+
+        item.appendChild(thumbnail);
+        item.appendChild(label);
+        item.addEventListener('click', () => selectFilter(filter.id));
+        filterCarousel.appendChild(item);
+    });
+    updateFilterCarousel();
+}
+
+/**
+ * Highlights the carousel items of the active filters
+ */
+function updateFilterCarousel() {
+    if (!filterCarousel) return;
+
+    for (const item of filterCarousel.children) {
+        const isActive = activeFilterIds.includes(item.dataset.filterId);
+        item.classList.toggle('active', isActive);
+        item.setAttribute('aria-pressed', isActive);
+        if (isActive && isARActive) {
+            item.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'center' });
+        }
+    }
+}
+
+/**
+ * Redraws the carousel thumbnails so their animations follow the live view
+ */
+function refreshFilterThumbnails() {
+    if (!filterCarousel) return;
+
+    for (const item of filterCarousel.children) {
+        const filter = filterRegistry.get(item.dataset.filterId);
+        if (filter) {
+            renderFilterThumbnail(filter, item.querySelector('canvas'));
+        }
+    }
+}
+
+/**
+ * Plays the meow sound when a mouth opens
+ */
+function playMeow(event) {
+    const faceState = getFaceState(event.detail.faceId);
     
     // Get current time for cooldown
     const currentTime = Date.now();
     
-    // Check if mouth is open enough and cooldown has passed
-    if (mouthOpenDistance > mouthOpenThreshold && 
-        currentTime - lastMouthOpenTime > soundCooldown) {
+    // Check if the cooldown has passed
+    if (currentTime - faceState.lastMouthOpenTime > soundCooldown) {
         // Play cat sound
         catSound.currentTime = 0;
         catSound.play().catch(error => {
@@ -389,7 +1035,7 @@ function checkMouthOpening(landmarks) {
         });
         
         // Update last mouth open time
-        lastMouthOpenTime = currentTime;
+        faceState.lastMouthOpenTime = currentTime;
     }
 }
 
@@ -719,9 +1365,6 @@ function drawDancingTeddy(landmarks) {
     const armWave = Math.sin(animationFrame * 0.3) * 10;
     const legWave = Math.sin(animationFrame * 0.25) * 8;
 
-    // Draw teddy bear body (slightly transparent to show it's behind)
-    ctx.globalAlpha = 0.8;
-    
     // Draw teddy bear body
     ctx.beginPath();
     ctx.arc(centerX, centerY + danceOffset, teddySize * 0.4, 0, Math.PI * 2);
@@ -802,7 +1445,4 @@ function drawDancingTeddy(landmarks) {
         const sparkleY = centerY + Math.sin(angle) * teddySize * 0.8 + danceOffset;
         drawParticle(sparkleX, sparkleY, teddySize * 0.05);
     }
-
-    // Reset transparency
-    ctx.globalAlpha = 1.0;
 } 
\ No newline at end of file
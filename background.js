@@ -0,0 +1,224 @@
+// Background replacement
+//
+// MediaPipe Selfie Segmentation separates the person from the room. When a
+// background mode is set, the overlay canvas stops being transparent: every
+// frame it is filled with the new background, the person is cut out of the
+// camera frame with the segmentation mask and drawn on top, and the filter
+// layers are drawn over both. takePhoto() captures the overlay canvas, so
+// photos include the background too.
+//
+// The model is served by server.js from node_modules under /mediapipe.
+//
+//     setBackgroundMode('blur', { blur: 16 });
+//     setBackgroundMode('color', { color: '#00b140' });
+//     setBackgroundMode('image', { src: 'backgrounds/beach.jpg' });
+//     setBackgroundMode('scene', { scene: 'stars' });
+
+let selfieSegmentation;         // MediaPipe Selfie Segmentation instance
+let segmentationMask = null;    // Latest person mask, white where the person is
+let backgroundMode = 'none';    // 'none', 'blur', 'color', 'image' or 'scene'
+let backgroundBlur = 12;        // Blur radius in pixels for the 'blur' mode
+let backgroundColor = '#00b140'; // Fill of the 'color' mode
+let backgroundImage = null;     // Image or canvas drawn by the 'image' mode
+let backgroundScene = 'stars';  // Id of the scene drawn by the 'scene' mode
+let backgroundSceneStart = 0;   // Time the current scene started, in milliseconds
+let personCanvas;               // Offscreen canvas the person is cut out on
+let personCtx;                  // Context of the person canvas
+
+const BACKGROUND_MODES = ['none', 'blur', 'color', 'image', 'scene'];
+
+// Animated scenes for the 'scene' mode, drawn with (ctx, width, height, seconds)
+const backgroundScenes = new Map([
+    ['stars', drawStarsScene],
+    ['bubbles', drawBubblesScene]
+]);
+
+/**
+ * Creates the segmentation model and the offscreen person canvas
+ */
+function initBackground() {
+    personCanvas = document.createElement('canvas');
+    personCtx = personCanvas.getContext('2d');
+
+    if (typeof SelfieSegmentation === 'undefined') {
+        console.warn('Selfie Segmentation is not loaded, background modes are unavailable');
+        return;
+    }
+    selfieSegmentation = new SelfieSegmentation({
+        locateFile: (file) => {
+            return `/mediapipe/selfie_segmentation/${file}`;
+        }
+    });
+    selfieSegmentation.setOptions({
+        modelSelection: 1 // Landscape model, faster at webcam resolutions
+    });
+    selfieSegmentation.onResults(results => {
+        segmentationMask = results.segmentationMask;
+    });
+}
+
+/**
+ * Chooses what is drawn behind the person
+ * @param {string} mode - One of BACKGROUND_MODES
+ * @param {Object} [options] - Settings of the mode
+ * @param {number} [options.blur] - Blur radius in pixels, for 'blur'
+ * @param {string} [options.color] - CSS color, for 'color'
+ * @param {string|HTMLImageElement|HTMLCanvasElement} [options.src] - Image URL or ready image, for 'image'
+ * @param {string} [options.scene] - Scene id, for 'scene'
+ * @returns {boolean} True if the mode and its options are valid
+ */
+function setBackgroundMode(mode, options = {}) {
+    if (!BACKGROUND_MODES.includes(mode)) {
+        console.warn(`Unknown background mode "${mode}"`);
+        return false;
+    }
+    if (options.scene !== undefined && !backgroundScenes.has(options.scene)) {
+        console.warn(`Unknown background scene "${options.scene}"`);
+        return false;
+    }
+    if (mode === 'image' && options.src === undefined && !backgroundImage) {
+        console.warn('The image background needs a src');
+        return false;
+    }
+
+    if (options.blur !== undefined) backgroundBlur = Math.max(0, options.blur);
+    if (options.color !== undefined) backgroundColor = options.color;
+    if (options.scene !== undefined) backgroundScene = options.scene;
+    if (options.src !== undefined) {
+        if (typeof options.src === 'string') {
+            backgroundImage = new Image();
+            backgroundImage.onerror = () => console.warn(`Could not load background "${options.src}"`);
+            backgroundImage.src = options.src;
+        } else {
+            backgroundImage = options.src;
+        }
+    }
+
+    if (mode === 'scene' && backgroundMode !== 'scene') {
+        backgroundSceneStart = performance.now();
+    }
+    backgroundMode = mode;
+    if (mode === 'none') {
+        segmentationMask = null;
+    }
+    return true;
+}
+
+/**
+ * Adds an animated scene for the 'scene' background mode
+ * @param {string} id - Unique scene id
+ * @param {Function} draw - Called with (ctx, width, height, seconds) every frame
+ */
+function registerBackgroundScene(id, draw) {
+    backgroundScenes.set(id, draw);
+}
+
+/**
+ * Sends a camera frame to the segmentation model when a background is set
+ * @param {HTMLVideoElement} image - Current camera frame
+ */
+async function segmentFrame(image) {
+    if (backgroundMode === 'none' || !selfieSegmentation) return;
+    await selfieSegmentation.send({ image });
+}
+
+/**
+ * Draws the background and the cut-out person onto the canvas
+ * @param {CanvasImageSource} frame - Camera frame the mask was computed from
+ * @param {number} timestamp - Frame time in milliseconds
+ * @returns {boolean} True if anything was drawn
+ */
+function drawBackground(frame, timestamp) {
+    if (backgroundMode === 'none' || !segmentationMask) return false;
+
+    const width = canvas.width;
+    const height = canvas.height;
+
+    // Background first
+    ctx.save();
+    if (backgroundMode === 'blur') {
+        ctx.filter = `blur(${backgroundBlur}px)`;
+        ctx.drawImage(frame, 0, 0, width, height);
+    } else if (backgroundMode === 'color') {
+        ctx.fillStyle = backgroundColor;
+        ctx.fillRect(0, 0, width, height);
+    } else if (backgroundMode === 'image') {
+        drawCoverImage(ctx, backgroundImage, width, height);
+    } else if (backgroundMode === 'scene') {
+        backgroundScenes.get(backgroundScene)(ctx, width, height, (timestamp - backgroundSceneStart) / 1000);
+    }
+    ctx.restore();
+
+    // Then the person, cut out of the camera frame with the mask
+    personCanvas.width = width;
+    personCanvas.height = height;
+    personCtx.drawImage(segmentationMask, 0, 0, width, height);
+    personCtx.globalCompositeOperation = 'source-in';
+    personCtx.drawImage(frame, 0, 0, width, height);
+    personCtx.globalCompositeOperation = 'source-over';
+    ctx.drawImage(personCanvas, 0, 0);
+    return true;
+}
+
+/**
+ * Draws an image scaled to cover the whole area, cropping the overflow
+ */
+function drawCoverImage(targetCtx, image, width, height) {
+    const imageWidth = image && (image.naturalWidth || image.width);
+    const imageHeight = image && (image.naturalHeight || image.height);
+    if (!imageWidth || !imageHeight || image.complete === false) {
+        targetCtx.fillStyle = '#000000';
+        targetCtx.fillRect(0, 0, width, height);
+        return;
+    }
+    const scale = Math.max(width / imageWidth, height / imageHeight);
+    targetCtx.drawImage(image,
+        (width - imageWidth * scale) / 2, (height - imageHeight * scale) / 2,
+        imageWidth * scale, imageHeight * scale);
+}
+
+/**
+ * Night sky with twinkling stars drifting slowly to the left
+ */
+function drawStarsScene(targetCtx, width, height, seconds) {
+    const sky = targetCtx.createLinearGradient(0, 0, 0, height);
+    sky.addColorStop(0, '#050520');
+    sky.addColorStop(1, '#2a1a5e');
+    targetCtx.fillStyle = sky;
+    targetCtx.fillRect(0, 0, width, height);
+
+    for (let i = 0; i < 120; i++) {
+        // Fixed pseudo-random layout so the stars keep their places
+        const x = ((i * 73.13 % 1) * width * 1.1 - seconds * (8 + i % 5 * 4)) % (width * 1.1);
+        const y = (i * 41.71 % 1) * height;
+        const twinkle = 0.5 + 0.5 * Math.sin(seconds * 3 + i);
+        targetCtx.fillStyle = `rgba(255, 255, 255, ${0.3 + 0.7 * twinkle})`;
+        targetCtx.beginPath();
+        targetCtx.arc(x < 0 ? x + width * 1.1 : x, y, 1 + i % 3, 0, Math.PI * 2);
+        targetCtx.fill();
+    }
+}
+
+/**
+ * Underwater scene with bubbles rising from the bottom
+ */
+function drawBubblesScene(targetCtx, width, height, seconds) {
+    const water = targetCtx.createLinearGradient(0, 0, 0, height);
+    water.addColorStop(0, '#00b4d8');
+    water.addColorStop(1, '#03045e');
+    targetCtx.fillStyle = water;
+    targetCtx.fillRect(0, 0, width, height);
+
+    targetCtx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    targetCtx.lineWidth = 2;
+    for (let i = 0; i < 40; i++) {
+        const radius = 6 + i % 4 * 6;
+        const speed = 40 + i % 7 * 15;
+        const travel = height + radius * 2;
+        const y = height + radius - ((seconds * speed + i * 97) % travel);
+        const x = (i * 57.31 % 1) * width + Math.sin(seconds * 2 + i) * 12;
+        targetCtx.beginPath();
+        targetCtx.arc(x, y, radius, 0, Math.PI * 2);
+        targetCtx.stroke();
+    }
+}
@@ -0,0 +1,147 @@
+// Photo countdown
+//
+// With a countdown set, the photo button starts a timer instead of capturing
+// straight away, so the photo shows the pose rather than the hand reaching
+// for the button. The seconds are drawn as animated numerals on the overlay
+// and each one ticks; the photo is taken on the first frame drawn after the
+// countdown so no numeral ends up in it.
+
+const COUNTDOWN_OPTIONS = [0, 3, 5, 10]; // Seconds offered in the picker, 0 captures straight away
+
+let countdownSeconds = 3;           // Length of the countdown started by the photo button
+let countdownEnd = null;            // Time the running countdown ends, null when none is running
+let countdownTimer = null;          // Timeout of the next tick
+let countdownCapturePending = false; // Whether the next frame should be captured
+
+/**
+ * Handles the photo button: starts a countdown, cancels a running one, or
+ * captures straight away when the countdown is off
+ */
+function requestPhoto() {
+    if (countdownEnd !== null) {
+        cancelPhotoCountdown();
+    } else if (countdownSeconds > 0) {
+        startPhotoCountdown(countdownSeconds);
+    } else {
+        takePhoto();
+    }
+}
+
+/**
+ * Starts counting down to a photo
+ * @param {number} [seconds=countdownSeconds] - Length of the countdown
+ * @returns {boolean} True if a countdown was started
+ */
+function startPhotoCountdown(seconds = countdownSeconds) {
+    if (!isARActive || countdownEnd !== null || countdownCapturePending) return false;
+
+    countdownEnd = performance.now() + Math.max(1, seconds) * 1000;
+    document.getElementById('takePhoto').classList.add('counting');
+
+    // Tick at the start of every second, then capture on the next frame
+    const tick = () => {
+        const remaining = countdownEnd - performance.now();
+        if (remaining <= 0) {
+            countdownEnd = null;
+            countdownTimer = null;
+            countdownCapturePending = true;
+            document.getElementById('takePhoto').classList.remove('counting');
+            return;
+        }
+        playCountdownTick(Math.ceil(remaining / 1000) === 1);
+        countdownTimer = setTimeout(tick, remaining % 1000 || 1000);
+    };
+    tick();
+    return true;
+}
+
+/**
+ * Stops a running countdown without taking a photo
+ */
+function cancelPhotoCountdown() {
+    clearTimeout(countdownTimer);
+    countdownTimer = null;
+    countdownEnd = null;
+    countdownCapturePending = false;
+    document.getElementById('takePhoto').classList.remove('counting');
+}
+
+/**
+ * Changes the length of the countdown started by the photo button
+ * @param {number} seconds - One of COUNTDOWN_OPTIONS
+ * @returns {boolean} True if the length is offered
+ */
+function setCountdownSeconds(seconds) {
+    if (!COUNTDOWN_OPTIONS.includes(seconds)) {
+        console.warn(`Unsupported countdown of ${seconds} seconds`);
+        return false;
+    }
+    countdownSeconds = seconds;
+    return true;
+}
+
+/**
+ * Draws the countdown on the overlay, or takes the photo once it has run out
+ * Called at the end of every frame, after the filter layers.
+ * @param {number} timestamp - Frame time in milliseconds
+ */
+function updatePhotoCountdown(timestamp) {
+    if (countdownCapturePending) {
+        countdownCapturePending = false;
+        takePhoto();
+        return;
+    }
+    if (countdownEnd === null) return;
+
+    const remaining = Math.max(0, countdownEnd - timestamp);
+    const number = Math.max(1, Math.ceil(remaining / 1000));
+    const progress = 1 - (remaining - (number - 1) * 1000) / 1000; // 0 to 1 through the current second
+
+    // Each numeral pops in large and shrinks while it fades
+    const size = Math.min(canvas.width, canvas.height) * 0.35;
+    const scale = 1.4 - 0.4 * Math.sin(Math.min(progress, 1) * Math.PI / 2);
+    const centerX = canvas.width / 2;
+    const centerY = canvas.height / 2;
+
+    ctx.save();
+    ctx.globalAlpha = 1 - progress * progress;
+    ctx.translate(centerX, centerY);
+    ctx.scale(scale, scale);
+
+    // Ring emptying over the second
+    ctx.beginPath();
+    ctx.arc(0, 0, size * 0.6, -Math.PI / 2, -Math.PI / 2 + (1 - progress) * Math.PI * 2);
+    ctx.strokeStyle = '#00eaff';
+    ctx.lineWidth = size * 0.05;
+    ctx.shadowColor = '#00eaff';
+    ctx.shadowBlur = 20;
+    ctx.stroke();
+
+    ctx.font = `bold ${size}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = 'white';
+    ctx.fillText(String(number), 0, size * 0.04);
+    ctx.restore();
+}
+
+/**
+ * Plays a short beep, higher for the last second
+ */
+function playCountdownTick(last) {
+    try {
+        const audioContext = getAppAudioContext();
+        const now = audioContext.currentTime;
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        oscillator.frequency.value = last ? 1320 : 880;
+        gain.gain.setValueAtTime(0.3, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + 0.15);
+        oscillator.connect(gain);
+        gain.connect(getAppAudioOutput()); // Through the app output so recordings hear it
+        oscillator.start(now);
+        oscillator.stop(now + 0.15);
+    } catch (error) {
+        console.log('Error playing countdown tick:', error);
+    }
+}
@@ -0,0 +1,284 @@
+// Expression detection
+//
+// Every frame detectExpressions() measures the face from its raw landmarks and
+// expressionEvents dispatches named events when an expression starts:
+//     mouthOpen, mouthClose  - the lips part or close again
+//     blinkLeft, blinkRight  - an eye closes
+//     wink                   - one eye stays closed while the other is open
+//     smile, eyebrowRaise    - the mouth widens or the eyebrows lift
+//     headNod, headShake     - the head dips and comes back, or turns and comes back
+//
+// Measurements are ratios of landmark distances, so they do not depend on the
+// camera resolution or the distance to the camera. Each expression switches on
+// above one threshold and off below a lower one so a value hovering around a
+// threshold does not fire repeatedly, and each event has a per-face cooldown.
+// The detail of every event is { faceId, timestamp }:
+//     expressionEvents.addEventListener('wink', event => console.log(event.detail.faceId));
+//
+// Some lips part a little even when closed, so the mouth thresholds are
+// margins above a closed-mouth baseline, kept per face. After
+// startMouthCalibration() every face in view learns its baseline from its next
+// calibrationTime of frames, during which it fires no mouth events, and
+// 'calibrationend' is dispatched with { faceId, baseline } for each. If no face
+// finishes within calibrationTimeout the calibration is cancelled and
+// 'calibrationcancel' is dispatched. Faces that were not calibrated use the
+// default mouthBaseline.
+
+let expressionThresholds = {
+    mouth: { on: 0.25, off: 0.15 },     // Lip gap over mouth width, above the closed-mouth baseline
+    eye: { on: 0.18, off: 0.22 },       // Eyelid gap over eye width, closed below on
+    smile: { on: 0.42, off: 0.39 },     // Mouth width over face width
+    eyebrow: { on: 0.12, off: 0.105 },  // Brow to eyelid over face height
+    nod: 0.15,                          // Pitch swing in radians
+    shake: 0.2                          // Yaw swing in radians
+};
+let expressionCooldowns = {             // Milliseconds before an event can fire again for a face
+    mouthOpen: 0,
+    mouthClose: 0,
+    blinkLeft: 150,
+    blinkRight: 150,
+    wink: 800,
+    smile: 1000,
+    eyebrowRaise: 800,
+    headNod: 1200,
+    headShake: 1200
+};
+let winkHoldTime = 150;                 // Milliseconds one eye must stay closed to count as a wink
+let headGestureWindow = 1000;           // Milliseconds a nod or shake may take
+let mouthBaseline = 0.05;               // Lip gap over mouth width of a closed mouth, for faces not calibrated
+let maxMouthBaseline = 0.15;            // Largest baseline calibration accepts, in case the mouth was open
+let calibrationTime = 1500;             // Milliseconds of frames the calibration collects per face
+let calibrationMinSamples = 15;         // Frames of a face the calibration needs at least
+let calibrationTimeout = 10000;         // Milliseconds to wait for a face before giving up on calibrating
+let calibratingMouth = false;           // Whether faces coming into view start calibrating
+let calibrationTimer = null;            // Timeout cancelling a calibration no face finished
+
+const EXPRESSION_EVENTS = Object.keys(expressionCooldowns);
+const expressionEvents = new EventTarget();
+
+/**
+ * Creates the detection state of one face
+ * @returns {Object}
+ */
+function createExpressionState() {
+    return {
+        mouthOpen: false,
+        leftEyeClosed: false,
+        rightEyeClosed: false,
+        winkSince: null,
+        winked: false,
+        smiling: false,
+        eyebrowsRaised: false,
+        nod: { extreme: null, direction: 0, swings: [] },
+        shake: { extreme: null, direction: 0, swings: [] },
+        mouthBaseline: null,
+        calibrationSamples: null,
+        calibrationStart: null,
+        lastEmitted: {}
+    };
+}
+
+/**
+ * Measures the expression ratios of a face
+ * @param {Array} landmarks - Raw Face Mesh landmarks
+ * @returns {{mouth: number, leftEye: number, rightEye: number, smile: number, eyebrow: number}}
+ */
+function measureExpressions(landmarks) {
+    const distance = (a, b) => Math.hypot(
+        (landmarks[a].x - landmarks[b].x) * canvas.width,
+        (landmarks[a].y - landmarks[b].y) * canvas.height
+    ) || 1e-6;
+
+    const mouthWidth = distance(FACE_LANDMARKS.leftMouth, FACE_LANDMARKS.rightMouth);
+    const faceWidth = distance(FACE_LANDMARKS.leftTemple, FACE_LANDMARKS.rightTemple);
+    const faceHeight = distance(FACE_LANDMARKS.forehead, FACE_LANDMARKS.chin);
+    return {
+        mouth: distance(FACE_LANDMARKS.upperLip, FACE_LANDMARKS.lowerLip) / mouthWidth,
+        leftEye: distance(159, 145) / distance(FACE_LANDMARKS.leftEye, FACE_LANDMARKS.leftEyeInner),
+        rightEye: distance(386, 374) / distance(FACE_LANDMARKS.rightEye, FACE_LANDMARKS.rightEyeInner),
+        smile: mouthWidth / faceWidth,
+        eyebrow: (distance(105, 159) + distance(334, 386)) / 2 / faceHeight
+    };
+}
+
+/**
+ * Detects the expressions of one face and dispatches their events
+ * @param {Array} landmarks - Raw Face Mesh landmarks
+ * @param {number} faceId - Tracked id of the face
+ * @param {number} timestamp - Frame time in milliseconds
+ */
+function detectExpressions(landmarks, faceId, timestamp) {
+    const state = getFaceState(faceId).expressions;
+    const ratios = measureExpressions(landmarks);
+    const emit = name => emitExpression(name, state, faceId, timestamp);
+
+    // Mouth, relative to the face's closed-mouth baseline
+    if (calibratingMouth && !state.calibrationSamples && state.mouthBaseline === null) {
+        state.calibrationSamples = [];
+    }
+    if (state.calibrationSamples) {
+        collectCalibrationSample(state, faceId, ratios.mouth, timestamp);
+    } else {
+        const baseline = state.mouthBaseline ?? mouthBaseline;
+        const mouthOpen = isAbove(state.mouthOpen, ratios.mouth - baseline, expressionThresholds.mouth);
+        if (mouthOpen !== state.mouthOpen) {
+            state.mouthOpen = mouthOpen;
+            emit(mouthOpen ? 'mouthOpen' : 'mouthClose');
+        }
+    }
+
+    // Eyes, closed below the threshold
+    const leftEyeClosed = isBelow(state.leftEyeClosed, ratios.leftEye, expressionThresholds.eye);
+    const rightEyeClosed = isBelow(state.rightEyeClosed, ratios.rightEye, expressionThresholds.eye);
+    if (leftEyeClosed && !state.leftEyeClosed) emit('blinkLeft');
+    if (rightEyeClosed && !state.rightEyeClosed) emit('blinkRight');
+    state.leftEyeClosed = leftEyeClosed;
+    state.rightEyeClosed = rightEyeClosed;
+
+    // Wink: exactly one eye closed for long enough
+    if (leftEyeClosed !== rightEyeClosed) {
+        state.winkSince = state.winkSince ?? timestamp;
+        if (!state.winked && timestamp - state.winkSince >= winkHoldTime) {
+            state.winked = true;
+            emit('wink');
+        }
+    } else {
+        state.winkSince = null;
+        state.winked = false;
+    }
+
+    // Smile and eyebrows
+    const smiling = isAbove(state.smiling, ratios.smile, expressionThresholds.smile);
+    if (smiling && !state.smiling) emit('smile');
+    state.smiling = smiling;
+
+    const eyebrowsRaised = isAbove(state.eyebrowsRaised, ratios.eyebrow, expressionThresholds.eyebrow);
+    if (eyebrowsRaised && !state.eyebrowsRaised) emit('eyebrowRaise');
+    state.eyebrowsRaised = eyebrowsRaised;
+
+    // Head gestures from the head pose
+    const pose = estimateHeadPose(landmarks);
+    if (countHeadSwing(state.nod, pose.pitch, expressionThresholds.nod, timestamp)) emit('headNod');
+    if (countHeadSwing(state.shake, pose.yaw, expressionThresholds.shake, timestamp)) emit('headShake');
+}
+
+/**
+ * Starts learning the closed-mouth baseline of each face from the coming frames
+ */
+function startMouthCalibration() {
+    cancelMouthCalibration();
+    faceStates.forEach(faceState => { faceState.expressions.mouthBaseline = null; });
+    calibratingMouth = true;
+    calibrationTimer = setTimeout(() => {
+        cancelMouthCalibration();
+        expressionEvents.dispatchEvent(new CustomEvent('calibrationcancel'));
+    }, calibrationTimeout);
+}
+
+/**
+ * Stops a running calibration, keeping the baselines already learned
+ */
+function cancelMouthCalibration() {
+    clearTimeout(calibrationTimer);
+    calibrationTimer = null;
+    calibratingMouth = false;
+    faceStates.forEach(({ expressions }) => {
+        expressions.calibrationSamples = null;
+        expressions.calibrationStart = null;
+    });
+}
+
+/**
+ * Returns whether a closed-mouth baseline is being learned
+ * @returns {boolean}
+ */
+function isCalibratingMouth() {
+    return calibratingMouth || [...faceStates.values()].some(({ expressions }) => expressions.calibrationSamples);
+}
+
+function collectCalibrationSample(state, faceId, ratio, timestamp) {
+    state.calibrationStart = state.calibrationStart ?? timestamp;
+    state.calibrationSamples.push(ratio);
+    if (timestamp - state.calibrationStart < calibrationTime ||
+        state.calibrationSamples.length < calibrationMinSamples) return;
+
+    // The median ignores the odd frame where the mouth moved
+    const sorted = state.calibrationSamples.slice().sort((a, b) => a - b);
+    state.mouthBaseline = Math.min(sorted[Math.floor(sorted.length / 2)], maxMouthBaseline);
+    state.calibrationSamples = null;
+    state.calibrationStart = null;
+
+    // Faces already calibrating finish, faces coming into view later use the default
+    clearTimeout(calibrationTimer);
+    calibrationTimer = null;
+    calibratingMouth = false;
+    expressionEvents.dispatchEvent(new CustomEvent('calibrationend', {
+        detail: { faceId, baseline: state.mouthBaseline }
+    }));
+}
+
+/**
+ * Returns the current expressions of a face, e.g. for filters that change while the mouth is open
+ * @param {number} faceId - Tracked id of the face
+ * @returns {{mouthOpen: boolean, leftEyeClosed: boolean, rightEyeClosed: boolean, smiling: boolean, eyebrowsRaised: boolean}}
+ */
+function getExpressionState(faceId) {
+    const { mouthOpen, leftEyeClosed, rightEyeClosed, smiling, eyebrowsRaised } = getFaceState(faceId).expressions;
+    return { mouthOpen, leftEyeClosed, rightEyeClosed, smiling, eyebrowsRaised };
+}
+
+/**
+ * Dispatches an expression event unless it is cooling down for the face
+ * @returns {boolean} True if the event was dispatched
+ */
+function emitExpression(name, state, faceId, timestamp) {
+    const lastEmitted = state.lastEmitted[name];
+    if (lastEmitted !== undefined && timestamp - lastEmitted < expressionCooldowns[name]) return false;
+    state.lastEmitted[name] = timestamp;
+    expressionEvents.dispatchEvent(new CustomEvent(name, { detail: { faceId, timestamp } }));
+    return true;
+}
+
+/**
+ * Hysteresis for values that switch on above a threshold
+ */
+function isAbove(active, value, threshold) {
+    return active ? value > threshold.off : value > threshold.on;
+}
+
+/**
+ * Hysteresis for values that switch on below a threshold
+ */
+function isBelow(active, value, threshold) {
+    return active ? value < threshold.off : value < threshold.on;
+}
+
+/**
+ * Follows one head angle and reports when it swung out and back
+ * A swing is a move of at least `amplitude` away from the last turning point;
+ * two swings within headGestureWindow make a nod or shake.
+ * @returns {boolean} True if a gesture was completed
+ */
+function countHeadSwing(swing, angle, amplitude, timestamp) {
+    if (swing.extreme === null) {
+        swing.extreme = angle;
+        return false;
+    }
+
+    const delta = angle - swing.extreme;
+    if (swing.direction !== 0 && Math.sign(delta) === swing.direction) {
+        // Still moving the same way, the turning point moves along
+        swing.extreme = angle;
+    } else if (Math.abs(delta) >= amplitude) {
+        swing.direction = Math.sign(delta);
+        swing.extreme = angle;
+        swing.swings.push(timestamp);
+    }
+
+    swing.swings = swing.swings.filter(time => timestamp - time <= headGestureWindow);
+    if (swing.swings.length < 2) return false;
+
+    swing.direction = 0;
+    swing.swings = [];
+    return true;
+}
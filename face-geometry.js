@@ -0,0 +1,260 @@
+// Canonical Face Mesh geometry shared by the AR filters.
+// UV coordinates, silhouette indices and triangles come from the TensorFlow.js
+// facemesh and face-landmarks-detection models (Copyright 2020-2021 Google LLC,
+// Apache License 2.0).
+
+// Texture coordinates [u, v] of the 468 Face Mesh landmarks on the canonical face
+const FACE_UV_COORDS = [
+    [0.499977, 0.652534], [0.500026, 0.547487], [0.499974, 0.602372], [0.482113, 0.471979],
+    [0.500151, 0.527156], [0.49991, 0.498253], [0.499523, 0.401062], [0.289712, 0.380764],
+    [0.499955, 0.312398], [0.499987, 0.269919], [0.500023, 0.10705], [0.500023, 0.666234],
+    [0.500016, 0.679224], [0.500023, 0.692348], [0.499977, 0.695278], [0.499977, 0.705934],
+    [0.499977, 0.719385], [0.499977, 0.737019], [0.499968, 0.781371], [0.499816, 0.562981],
+    [0.473773, 0.57391], [0.104907, 0.254141], [0.36593, 0.409576], [0.338758, 0.413025],
+    [0.31112, 0.40946], [0.274658, 0.389131], [0.393362, 0.403706], [0.345234, 0.344011],
+    [0.370094, 0.346076], [0.319322, 0.347265], [0.297903, 0.353591], [0.247792, 0.41081],
+    [0.396889, 0.842755], [0.280098, 0.3756], [0.10631, 0.399956], [0.209925, 0.391353],
+    [0.355808, 0.534406], [0.471751, 0.650404], [0.474155, 0.680192], [0.439785, 0.657229],
+    [0.414617, 0.666541], [0.450374, 0.680861], [0.428771, 0.682691], [0.374971, 0.727805],
+    [0.486717, 0.547629], [0.485301, 0.527395], [0.257765, 0.31449], [0.401223, 0.455172],
+    [0.429819, 0.548615], [0.421352, 0.533741], [0.276896, 0.532057], [0.48337, 0.499587],
+    [0.337212, 0.282883], [0.296392, 0.293243], [0.169295, 0.193814], [0.44758, 0.30261],
+    [0.39239, 0.353888], [0.35449, 0.696784], [0.067305, 0.730105], [0.442739, 0.572826],
+    [0.457098, 0.584792], [0.381974, 0.694711], [0.392389, 0.694203], [0.277076, 0.271932],
+    [0.422552, 0.563233], [0.385919, 0.281364], [0.383103, 0.25584], [0.331431, 0.119714],
+    [0.229924, 0.232003], [0.364501, 0.189114], [0.229622, 0.299541], [0.173287, 0.278748],
+    [0.472879, 0.666198], [0.446828, 0.668527], [0.422762, 0.67389], [0.445308, 0.580066],
+    [0.388103, 0.693961], [0.403039, 0.70654], [0.403629, 0.693953], [0.460042, 0.557139],
+    [0.431158, 0.692366], [0.452182, 0.692366], [0.475387, 0.692366], [0.465828, 0.77919],
+    [0.472329, 0.736226], [0.473087, 0.717857], [0.473122, 0.704626], [0.473033, 0.695278],
+    [0.427942, 0.695278], [0.426479, 0.70354], [0.423162, 0.711846], [0.418309, 0.720063],
+    [0.390095, 0.639573], [0.013954, 0.560034], [0.499914, 0.580147], [0.4132, 0.6954],
+    [0.409626, 0.701823], [0.46808, 0.601535], [0.422729, 0.585985], [0.46308, 0.593784],
+    [0.37212, 0.473414], [0.334562, 0.496073], [0.411671, 0.546965], [0.242176, 0.147676],
+    [0.290777, 0.201446], [0.327338, 0.256527], [0.39951, 0.748921], [0.441728, 0.261676],
+    [0.429765, 0.187834], [0.412198, 0.108901], [0.288955, 0.398952], [0.218937, 0.435411],
+    [0.412782, 0.39897], [0.257135, 0.35544], [0.427685, 0.437961], [0.44834, 0.536936],
+    [0.17856, 0.457554], [0.247308, 0.457194], [0.286267, 0.467675], [0.332828, 0.460712],
+    [0.368756, 0.447207], [0.398964, 0.432655], [0.47641, 0.405806], [0.189241, 0.523924],
+    [0.228962, 0.348951], [0.490726, 0.562401], [0.40467, 0.485133], [0.019469, 0.401564],
+    [0.426243, 0.420431], [0.396993, 0.548797], [0.26647, 0.376977], [0.439121, 0.518958],
+    [0.032314, 0.644357], [0.419054, 0.387155], [0.462783, 0.505747], [0.238979, 0.779745],
+    [0.198221, 0.831938], [0.10755, 0.540755], [0.18361, 0.740257], [0.13441, 0.333683],
+    [0.385764, 0.883154], [0.490967, 0.579378], [0.382385, 0.508573], [0.174399, 0.397671],
+    [0.318785, 0.396235], [0.343364, 0.400597], [0.3961, 0.710217], [0.187885, 0.588538],
+    [0.430987, 0.944065], [0.318993, 0.898285], [0.266248, 0.869701], [0.500023, 0.190576],
+    [0.499977, 0.954453], [0.36617, 0.398822], [0.393207, 0.395537], [0.410373, 0.39108],
+    [0.194993, 0.342102], [0.388665, 0.362284], [0.365962, 0.355971], [0.343364, 0.355357],
+    [0.318785, 0.35834], [0.301415, 0.363156], [0.058133, 0.319076], [0.301415, 0.387449],
+    [0.499988, 0.618434], [0.415838, 0.624196], [0.445682, 0.566077], [0.465844, 0.620641],
+    [0.499923, 0.351524], [0.288719, 0.819946], [0.335279, 0.85282], [0.440512, 0.902419],
+    [0.128294, 0.791941], [0.408772, 0.373894], [0.455607, 0.451801], [0.499877, 0.90899],
+    [0.375437, 0.924192], [0.11421, 0.615022], [0.448662, 0.695278], [0.44802, 0.704632],
+    [0.447112, 0.715808], [0.444832, 0.730794], [0.430012, 0.766809], [0.406787, 0.685673],
+    [0.400738, 0.681069], [0.3924, 0.677703], [0.367856, 0.663919], [0.247923, 0.601333],
+    [0.45277, 0.42085], [0.436392, 0.359887], [0.416164, 0.368714], [0.413386, 0.692366],
+    [0.228018, 0.683572], [0.468268, 0.352671], [0.411362, 0.804327], [0.499989, 0.469825],
+    [0.479154, 0.442654], [0.499974, 0.439637], [0.432112, 0.493589], [0.499886, 0.866917],
+    [0.499913, 0.821729], [0.456549, 0.819201], [0.344549, 0.745439], [0.378909, 0.57401],
+    [0.374293, 0.780185], [0.319688, 0.570738], [0.357155, 0.60427], [0.295284, 0.621581],
+    [0.44775, 0.862477], [0.410986, 0.508723], [0.313951, 0.775308], [0.354128, 0.812553],
+    [0.324548, 0.703993], [0.189096, 0.6463], [0.279777, 0.714658], [0.133823, 0.682701],
+    [0.336768, 0.644733], [0.429884, 0.466522], [0.455528, 0.548623], [0.437114, 0.558896],
+    [0.467288, 0.529925], [0.414712, 0.33522], [0.377046, 0.322778], [0.344108, 0.320151],
+    [0.312876, 0.322332], [0.283526, 0.33319], [0.241246, 0.382786], [0.102986, 0.468763],
+    [0.267612, 0.42456], [0.297879, 0.433176], [0.333434, 0.433878], [0.366427, 0.426116],
+    [0.396012, 0.416696], [0.420121, 0.410228], [0.007561, 0.480777], [0.432949, 0.569518],
+    [0.458639, 0.479089], [0.473466, 0.545744], [0.476088, 0.56383], [0.468472, 0.555057],
+    [0.433991, 0.582362], [0.483518, 0.562984], [0.482483, 0.577849], [0.42645, 0.389799],
+    [0.438999, 0.396495], [0.450067, 0.400434], [0.289712, 0.368253], [0.27667, 0.363373],
+    [0.517862, 0.471948], [0.710288, 0.380764], [0.526227, 0.57391], [0.895093, 0.254141],
+    [0.63407, 0.409576], [0.661242, 0.413025], [0.68888, 0.40946], [0.725342, 0.389131],
+    [0.60663, 0.403705], [0.654766, 0.344011], [0.629906, 0.346076], [0.680678, 0.347265],
+    [0.702097, 0.353591], [0.752212, 0.410805], [0.602918, 0.842863], [0.719902, 0.3756],
+    [0.893693, 0.39996], [0.790082, 0.391354], [0.643998, 0.534488], [0.528249, 0.650404],
+    [0.52585, 0.680191], [0.560215, 0.657229], [0.585384, 0.666541], [0.549626, 0.680861],
+    [0.571228, 0.682692], [0.624852, 0.728099], [0.51305, 0.547282], [0.515097, 0.527252],
+    [0.742247, 0.314507], [0.598631, 0.454979], [0.570338, 0.548575], [0.578632, 0.533623],
+    [0.723087, 0.532054], [0.516446, 0.499639], [0.662801, 0.282918], [0.703624, 0.293271],
+    [0.830705, 0.193814], [0.552386, 0.302568], [0.60761, 0.353888], [0.645429, 0.696707],
+    [0.932695, 0.730105], [0.557261, 0.572826], [0.542902, 0.584792], [0.618026, 0.694711],
+    [0.607591, 0.694203], [0.722943, 0.271963], [0.577414, 0.563167], [0.614083, 0.281387],
+    [0.616907, 0.255886], [0.668509, 0.119914], [0.770092, 0.232021], [0.635536, 0.189249],
+    [0.770391, 0.299556], [0.826722, 0.278755], [0.527121, 0.666198], [0.553172, 0.668527],
+    [0.577238, 0.67389], [0.554692, 0.580066], [0.611897, 0.693961], [0.596961, 0.70654],
+    [0.596371, 0.693953], [0.539958, 0.557139], [0.568842, 0.692366], [0.547818, 0.692366],
+    [0.524613, 0.692366], [0.53409, 0.779141], [0.527671, 0.736226], [0.526913, 0.717857],
+    [0.526878, 0.704626], [0.526967, 0.695278], [0.572058, 0.695278], [0.573521, 0.70354],
+    [0.576838, 0.711846], [0.581691, 0.720063], [0.609945, 0.63991], [0.986046, 0.560034],
+    [0.5868, 0.6954], [0.590372, 0.701823], [0.531915, 0.601537], [0.577268, 0.585935],
+    [0.536915, 0.593786], [0.627543, 0.473352], [0.665586, 0.495951], [0.588354, 0.546862],
+    [0.757824, 0.147676], [0.70925, 0.201508], [0.672684, 0.256581], [0.600409, 0.749005],
+    [0.558266, 0.261672], [0.570304, 0.187871], [0.588166, 0.109044], [0.711045, 0.398952],
+    [0.78107, 0.435405], [0.587247, 0.398932], [0.74287, 0.355446], [0.572156, 0.437652],
+    [0.551868, 0.53657], [0.821442, 0.457556], [0.752702, 0.457182], [0.713757, 0.467627],
+    [0.667113, 0.460673], [0.631101, 0.447154], [0.600862, 0.432473], [0.523481, 0.405627],
+    [0.810748, 0.523926], [0.771046, 0.348959], [0.509127, 0.562718], [0.595293, 0.485024],
+    [0.980531, 0.401564], [0.5735, 0.42], [0.602995, 0.548688], [0.73353, 0.376977],
+    [0.560611, 0.519017], [0.967686, 0.644357], [0.580985, 0.38716], [0.537728, 0.505385],
+    [0.760966, 0.779753], [0.801779, 0.831938], [0.892441, 0.540761], [0.816351, 0.74026],
+    [0.865595, 0.333687], [0.614074, 0.883246], [0.508953, 0.579438], [0.617942, 0.508316],
+    [0.825608, 0.397675], [0.681215, 0.396235], [0.656636, 0.400597], [0.6039, 0.710217],
+    [0.812086, 0.588539], [0.568013, 0.944565], [0.681008, 0.898285], [0.733752, 0.869701],
+    [0.63383, 0.398822], [0.606793, 0.395537], [0.58966, 0.391062], [0.805016, 0.342108],
+    [0.611335, 0.362284], [0.634038, 0.355971], [0.656636, 0.355357], [0.681215, 0.35834],
+    [0.698585, 0.363156], [0.941867, 0.319076], [0.698585, 0.387449], [0.584177, 0.624107],
+    [0.554318, 0.566077], [0.534154, 0.62064], [0.711218, 0.819975], [0.66463, 0.852871],
+    [0.5591, 0.902632], [0.871706, 0.791941], [0.591234, 0.373894], [0.544341, 0.451584],
+    [0.624563, 0.924192], [0.88577, 0.615029], [0.551338, 0.695278], [0.55198, 0.704632],
+    [0.552888, 0.715808], [0.555168, 0.730794], [0.569944, 0.767035], [0.593203, 0.685676],
+    [0.599262, 0.681069], [0.6076, 0.677703], [0.631938, 0.6635], [0.752033, 0.601315],
+    [0.547226, 0.420395], [0.563544, 0.359828], [0.583841, 0.368714], [0.586614, 0.692366],
+    [0.771915, 0.683578], [0.531597, 0.352483], [0.588371, 0.804441], [0.520797, 0.442565],
+    [0.567985, 0.493479], [0.543283, 0.819255], [0.655317, 0.745515], [0.621009, 0.574018],
+    [0.62556, 0.780312], [0.680198, 0.570719], [0.642764, 0.604338], [0.704663, 0.62153],
+    [0.552012, 0.862592], [0.589072, 0.508637], [0.685945, 0.775357], [0.645735, 0.81264],
+    [0.675343, 0.703978], [0.810858, 0.646305], [0.720122, 0.714667], [0.866152, 0.682705],
+    [0.663187, 0.644597], [0.570082, 0.466326], [0.544562, 0.548376], [0.562759, 0.558785],
+    [0.531987, 0.53014], [0.585271, 0.335177], [0.622953, 0.322779], [0.655896, 0.320163],
+    [0.687132, 0.322346], [0.716482, 0.333201], [0.758757, 0.382787], [0.897013, 0.468769],
+    [0.732392, 0.424547], [0.702114, 0.433163], [0.666525, 0.433866], [0.633505, 0.426088],
+    [0.603876, 0.416587], [0.579658, 0.409945], [0.99244, 0.480777], [0.567192, 0.56942],
+    [0.541366, 0.478899], [0.526564, 0.546118], [0.523913, 0.56383], [0.531529, 0.555057],
+    [0.566036, 0.582329], [0.516311, 0.563054], [0.517472, 0.577877], [0.573595, 0.389807],
+    [0.560698, 0.395332], [0.549756, 0.399751], [0.710288, 0.368253], [0.72333, 0.363373]
+];
+
+// Landmark indices of the face outline, clockwise from the forehead
+const FACE_SILHOUETTE = [
+    10, 338, 297, 332, 284, 251, 389, 356, 454, 323, 361, 288,
+    397, 365, 379, 378, 400, 377, 152, 148, 176, 149, 150, 136,
+    172, 58, 132, 93, 234, 127, 162, 21, 54, 103, 67, 109
+];
+
+// Triangles of the face surface as landmark index triples; eyes and mouth are left open
+const FACE_TRIANGLES = [
+    [127, 34, 139], [11, 0, 37], [232, 231, 120], [72, 37, 39], [128, 121, 47], [232, 121, 128], [104, 69, 67], [175, 171, 148],
+    [118, 50, 101], [73, 39, 40], [9, 151, 108], [48, 115, 131], [194, 204, 211], [74, 40, 185], [80, 42, 183], [40, 92, 186],
+    [230, 229, 118], [202, 212, 214], [83, 18, 17], [76, 61, 146], [160, 29, 30], [56, 157, 173], [106, 204, 194], [135, 214, 192],
+    [203, 165, 98], [21, 71, 68], [51, 45, 4], [144, 24, 23], [77, 146, 91], [205, 50, 187], [201, 200, 18], [91, 106, 182],
+    [90, 91, 181], [85, 84, 17], [206, 203, 36], [148, 171, 140], [92, 40, 39], [193, 189, 244], [159, 158, 28], [247, 246, 161],
+    [236, 3, 196], [54, 68, 104], [193, 168, 8], [117, 228, 31], [189, 193, 55], [98, 97, 99], [126, 47, 100], [166, 79, 218],
+    [155, 154, 26], [209, 49, 131], [135, 136, 150], [47, 126, 217], [223, 52, 53], [45, 51, 134], [211, 170, 140], [67, 69, 108],
+    [43, 106, 91], [230, 119, 120], [226, 130, 247], [63, 53, 52], [238, 20, 242], [46, 70, 156], [78, 62, 96], [46, 53, 63],
+    [143, 34, 227], [123, 117, 111], [44, 125, 19], [236, 134, 51], [216, 206, 205], [154, 153, 22], [39, 37, 167], [200, 201, 208],
+    [36, 142, 100], [57, 212, 202], [20, 60, 99], [28, 158, 157], [35, 226, 113], [160, 159, 27], [204, 202, 210], [113, 225, 46],
+    [43, 202, 204], [62, 76, 77], [137, 123, 116], [41, 38, 72], [203, 129, 142], [64, 98, 240], [49, 102, 64], [41, 73, 74],
+    [212, 216, 207], [42, 74, 184], [169, 170, 211], [170, 149, 176], [105, 66, 69], [122, 6, 168], [123, 147, 187], [96, 77, 90],
+    [65, 55, 107], [89, 90, 180], [101, 100, 120], [63, 105, 104], [93, 137, 227], [15, 86, 85], [129, 102, 49], [14, 87, 86],
+    [55, 8, 9], [100, 47, 121], [145, 23, 22], [88, 89, 179], [6, 122, 196], [88, 95, 96], [138, 172, 136], [215, 58, 172],
+    [115, 48, 219], [42, 80, 81], [195, 3, 51], [43, 146, 61], [171, 175, 199], [81, 82, 38], [53, 46, 225], [144, 163, 110],
+    [52, 65, 66], [229, 228, 117], [34, 127, 234], [107, 108, 69], [109, 108, 151], [48, 64, 235], [62, 78, 191], [129, 209, 126],
+    [111, 35, 143], [117, 123, 50], [222, 65, 52], [19, 125, 141], [221, 55, 65], [3, 195, 197], [25, 7, 33], [220, 237, 44],
+    [70, 71, 139], [122, 193, 245], [247, 130, 33], [71, 21, 162], [170, 169, 150], [188, 174, 196], [216, 186, 92], [2, 97, 167],
+    [141, 125, 241], [164, 167, 37], [72, 38, 12], [38, 82, 13], [63, 68, 71], [226, 35, 111], [101, 50, 205], [206, 92, 165],
+    [209, 198, 217], [165, 167, 97], [220, 115, 218], [133, 112, 243], [239, 238, 241], [214, 135, 169], [190, 173, 133], [171, 208, 32],
+    [125, 44, 237], [86, 87, 178], [85, 86, 179], [84, 85, 180], [83, 84, 181], [201, 83, 182], [137, 93, 132], [76, 62, 183],
+    [61, 76, 184], [57, 61, 185], [212, 57, 186], [214, 207, 187], [34, 143, 156], [79, 239, 237], [123, 137, 177], [44, 1, 4],
+    [201, 194, 32], [64, 102, 129], [213, 215, 138], [59, 166, 219], [242, 99, 97], [2, 94, 141], [75, 59, 235], [24, 110, 228],
+    [25, 130, 226], [23, 24, 229], [22, 23, 230], [26, 22, 231], [112, 26, 232], [189, 190, 243], [221, 56, 190], [28, 56, 221],
+    [27, 28, 222], [29, 27, 223], [30, 29, 224], [247, 30, 225], [238, 79, 20], [166, 59, 75], [60, 75, 240], [147, 177, 215],
+    [20, 79, 166], [187, 147, 213], [112, 233, 244], [233, 128, 245], [128, 114, 188], [114, 217, 174], [131, 115, 220], [217, 198, 236],
+    [198, 131, 134], [177, 132, 58], [143, 35, 124], [110, 163, 7], [228, 110, 25], [356, 389, 368], [11, 302, 267], [452, 350, 349],
+    [302, 303, 269], [357, 343, 277], [452, 453, 357], [333, 332, 297], [175, 152, 377], [347, 348, 330], [303, 304, 270], [9, 336, 337],
+    [278, 279, 360], [418, 262, 431], [304, 408, 409], [310, 415, 407], [270, 409, 410], [450, 348, 347], [422, 430, 434], [313, 314, 17],
+    [306, 307, 375], [387, 388, 260], [286, 414, 398], [335, 406, 418], [364, 367, 416], [423, 358, 327], [251, 284, 298], [281, 5, 4],
+    [373, 374, 253], [307, 320, 321], [425, 427, 411], [421, 313, 18], [321, 405, 406], [320, 404, 405], [315, 16, 17], [426, 425, 266],
+    [377, 400, 369], [322, 391, 269], [417, 465, 464], [386, 257, 258], [466, 260, 388], [456, 399, 419], [284, 332, 333], [417, 285, 8],
+    [346, 340, 261], [413, 441, 285], [327, 460, 328], [355, 371, 329], [392, 439, 438], [382, 341, 256], [429, 420, 360], [364, 394, 379],
+    [277, 343, 437], [443, 444, 283], [275, 440, 363], [431, 262, 369], [297, 338, 337], [273, 375, 321], [450, 451, 349], [446, 342, 467],
+    [293, 334, 282], [458, 461, 462], [276, 353, 383], [308, 324, 325], [276, 300, 293], [372, 345, 447], [352, 345, 340], [274, 1, 19],
+    [456, 248, 281], [436, 427, 425], [381, 256, 252], [269, 391, 393], [200, 199, 428], [266, 330, 329], [287, 273, 422], [250, 462, 328],
+    [258, 286, 384], [265, 353, 342], [387, 259, 257], [424, 431, 430], [342, 353, 276], [273, 335, 424], [292, 325, 307], [366, 447, 345],
+    [271, 303, 302], [423, 266, 371], [294, 455, 460], [279, 278, 294], [271, 272, 304], [432, 434, 427], [272, 407, 408], [394, 430, 431],
+    [395, 369, 400], [334, 333, 299], [351, 417, 168], [352, 280, 411], [325, 319, 320], [295, 296, 336], [319, 403, 404], [330, 348, 349],
+    [293, 298, 333], [323, 454, 447], [15, 16, 315], [358, 429, 279], [14, 15, 316], [285, 336, 9], [329, 349, 350], [374, 380, 252],
+    [318, 402, 403], [6, 197, 419], [318, 319, 325], [367, 364, 365], [435, 367, 397], [344, 438, 439], [272, 271, 311], [195, 5, 281],
+    [273, 287, 291], [396, 428, 199], [311, 271, 268], [283, 444, 445], [373, 254, 339], [282, 334, 296], [449, 347, 346], [264, 447, 454],
+    [336, 296, 299], [338, 10, 151], [278, 439, 455], [292, 407, 415], [358, 371, 355], [340, 345, 372], [346, 347, 280], [442, 443, 282],
+    [19, 94, 370], [441, 442, 295], [248, 419, 197], [263, 255, 359], [440, 275, 274], [300, 383, 368], [351, 412, 465], [263, 467, 466],
+    [301, 368, 389], [395, 378, 379], [412, 351, 419], [436, 426, 322], [2, 164, 393], [370, 462, 461], [164, 0, 267], [302, 11, 12],
+    [268, 12, 13], [293, 300, 301], [446, 261, 340], [330, 266, 425], [426, 423, 391], [429, 355, 437], [391, 327, 326], [440, 457, 438],
+    [341, 382, 362], [459, 457, 461], [434, 430, 394], [414, 463, 362], [396, 369, 262], [354, 461, 457], [316, 403, 402], [315, 404, 403],
+    [314, 405, 404], [313, 406, 405], [421, 418, 406], [366, 401, 361], [306, 408, 407], [291, 409, 408], [287, 410, 409], [432, 436, 410],
+    [434, 416, 411], [264, 368, 383], [309, 438, 457], [352, 376, 401], [274, 275, 4], [421, 428, 262], [294, 327, 358], [433, 416, 367],
+    [289, 455, 439], [462, 370, 326], [2, 326, 370], [305, 460, 455], [254, 449, 448], [255, 261, 446], [253, 450, 449], [252, 451, 450],
+    [256, 452, 451], [341, 453, 452], [413, 464, 463], [441, 413, 414], [258, 442, 441], [257, 443, 442], [259, 444, 443], [260, 445, 444],
+    [467, 342, 445], [459, 458, 250], [289, 392, 290], [290, 328, 460], [376, 433, 435], [250, 290, 392], [411, 416, 433], [341, 463, 464],
+    [453, 464, 465], [357, 465, 412], [343, 412, 399], [360, 363, 440], [437, 399, 456], [420, 456, 363], [401, 435, 288], [372, 383, 353],
+    [339, 255, 249], [448, 261, 255], [133, 243, 190], [133, 155, 112], [33, 246, 247], [33, 130, 25], [398, 384, 286], [362, 398, 414],
+    [362, 463, 341], [263, 359, 467], [263, 249, 255], [466, 467, 260], [75, 60, 166], [238, 239, 79], [162, 127, 139], [72, 11, 37],
+    [121, 232, 120], [73, 72, 39], [114, 128, 47], [233, 232, 128], [103, 104, 67], [152, 175, 148], [119, 118, 101], [74, 73, 40],
+    [107, 9, 108], [49, 48, 131], [32, 194, 211], [184, 74, 185], [191, 80, 183], [185, 40, 186], [119, 230, 118], [210, 202, 214],
+    [84, 83, 17], [77, 76, 146], [161, 160, 30], [190, 56, 173], [182, 106, 194], [138, 135, 192], [129, 203, 98], [54, 21, 68],
+    [5, 51, 4], [145, 144, 23], [90, 77, 91], [207, 205, 187], [83, 201, 18], [181, 91, 182], [180, 90, 181], [16, 85, 17],
+    [205, 206, 36], [176, 148, 140], [165, 92, 39], [245, 193, 244], [27, 159, 28], [30, 247, 161], [174, 236, 196], [103, 54, 104],
+    [55, 193, 8], [111, 117, 31], [221, 189, 55], [240, 98, 99], [142, 126, 100], [219, 166, 218], [112, 155, 26], [198, 209, 131],
+    [169, 135, 150], [114, 47, 217], [224, 223, 53], [220, 45, 134], [32, 211, 140], [109, 67, 108], [146, 43, 91], [231, 230, 120],
+    [113, 226, 247], [105, 63, 52], [241, 238, 242], [124, 46, 156], [95, 78, 96], [70, 46, 63], [116, 143, 227], [116, 123, 111],
+    [1, 44, 19], [3, 236, 51], [207, 216, 205], [26, 154, 22], [165, 39, 167], [199, 200, 208], [101, 36, 100], [43, 57, 202],
+    [242, 20, 99], [56, 28, 157], [124, 35, 113], [29, 160, 27], [211, 204, 210], [124, 113, 46], [106, 43, 204], [96, 62, 77],
+    [227, 137, 116], [73, 41, 72], [36, 203, 142], [235, 64, 240], [48, 49, 64], [42, 41, 74], [214, 212, 207], [183, 42, 184],
+    [210, 169, 211], [140, 170, 176], [104, 105, 69], [193, 122, 168], [50, 123, 187], [89, 96, 90], [66, 65, 107], [179, 89, 180],
+    [119, 101, 120], [68, 63, 104], [234, 93, 227], [16, 15, 85], [209, 129, 49], [15, 14, 86], [107, 55, 9], [120, 100, 121],
+    [153, 145, 22], [178, 88, 179], [197, 6, 196], [89, 88, 96], [135, 138, 136], [138, 215, 172], [218, 115, 219], [41, 42, 81],
+    [5, 195, 51], [57, 43, 61], [208, 171, 199], [41, 81, 38], [224, 53, 225], [24, 144, 110], [105, 52, 66], [118, 229, 117],
+    [227, 34, 234], [66, 107, 69], [10, 109, 151], [219, 48, 235], [183, 62, 191], [142, 129, 126], [116, 111, 143], [118, 117, 50],
+    [223, 222, 52], [94, 19, 141], [222, 221, 65], [196, 3, 197], [45, 220, 44], [156, 70, 139], [188, 122, 245], [139, 71, 162],
+    [149, 170, 150], [122, 188, 196], [206, 216, 92], [164, 2, 167], [242, 141, 241], [0, 164, 37], [11, 72, 12], [12, 38, 13],
+    [70, 63, 71], [31, 226, 111], [36, 101, 205], [203, 206, 165], [126, 209, 217], [98, 165, 97], [237, 220, 218], [237, 239, 241],
+    [210, 214, 169], [140, 171, 32], [241, 125, 237], [179, 86, 178], [180, 85, 179], [181, 84, 180], [182, 83, 181], [194, 201, 182],
+    [177, 137, 132], [184, 76, 183], [185, 61, 184], [186, 57, 185], [216, 212, 186], [192, 214, 187], [139, 34, 156], [218, 79, 237],
+    [147, 123, 177], [45, 44, 4], [208, 201, 32], [98, 64, 129], [192, 213, 138], [235, 59, 219], [141, 242, 97], [97, 2, 141],
+    [240, 75, 235], [229, 24, 228], [31, 25, 226], [230, 23, 229], [231, 22, 230], [232, 26, 231], [233, 112, 232], [244, 189, 243],
+    [189, 221, 190], [222, 28, 221], [223, 27, 222], [224, 29, 223], [225, 30, 224], [113, 247, 225], [99, 60, 240], [213, 147, 215],
+    [60, 20, 166], [192, 187, 213], [243, 112, 244], [244, 233, 245], [245, 128, 188], [188, 114, 174], [134, 131, 220], [174, 217, 236],
+    [236, 198, 134], [215, 177, 58], [156, 143, 124], [25, 110, 7], [31, 228, 25], [264, 356, 368], [0, 11, 267], [451, 452, 349],
+    [267, 302, 269], [350, 357, 277], [350, 452, 357], [299, 333, 297], [396, 175, 377], [280, 347, 330], [269, 303, 270], [151, 9, 337],
+    [344, 278, 360], [424, 418, 431], [270, 304, 409], [272, 310, 407], [322, 270, 410], [449, 450, 347], [432, 422, 434], [18, 313, 17],
+    [291, 306, 375], [259, 387, 260], [424, 335, 418], [434, 364, 416], [391, 423, 327], [301, 251, 298], [275, 281, 4], [254, 373, 253],
+    [375, 307, 321], [280, 425, 411], [200, 421, 18], [335, 321, 406], [321, 320, 405], [314, 315, 17], [423, 426, 266], [396, 377, 369],
+    [270, 322, 269], [413, 417, 464], [385, 386, 258], [248, 456, 419], [298, 284, 333], [168, 417, 8], [448, 346, 261], [417, 413, 285],
+    [326, 327, 328], [277, 355, 329], [309, 392, 438], [381, 382, 256], [279, 429, 360], [365, 364, 379], [355, 277, 437], [282, 443, 283],
+    [281, 275, 363], [395, 431, 369], [299, 297, 337], [335, 273, 321], [348, 450, 349], [359, 446, 467], [283, 293, 282], [250, 458, 462],
+    [300, 276, 383], [292, 308, 325], [283, 276, 293], [264, 372, 447], [346, 352, 340], [354, 274, 19], [363, 456, 281], [426, 436, 425],
+    [380, 381, 252], [267, 269, 393], [421, 200, 428], [371, 266, 329], [432, 287, 422], [290, 250, 328], [385, 258, 384], [446, 265, 342],
+    [386, 387, 257], [422, 424, 430], [445, 342, 276], [422, 273, 424], [306, 292, 307], [352, 366, 345], [268, 271, 302], [358, 423, 371],
+    [327, 294, 460], [331, 279, 294], [303, 271, 304], [436, 432, 427], [304, 272, 408], [395, 394, 431], [378, 395, 400], [296, 334, 299],
+    [6, 351, 168], [376, 352, 411], [307, 325, 320], [285, 295, 336], [320, 319, 404], [329, 330, 349], [334, 293, 333], [366, 323, 447],
+    [316, 15, 315], [331, 358, 279], [317, 14, 316], [8, 285, 9], [277, 329, 350], [253, 374, 252], [319, 318, 403], [351, 6, 419],
+    [324, 318, 325], [397, 367, 365], [288, 435, 397], [278, 344, 439], [310, 272, 311], [248, 195, 281], [375, 273, 291], [175, 396, 199],
+    [312, 311, 268], [276, 283, 445], [390, 373, 339], [295, 282, 296], [448, 449, 346], [356, 264, 454], [337, 336, 299], [337, 338, 151],
+    [294, 278, 455], [308, 292, 415], [429, 358, 355], [265, 340, 372], [352, 346, 280], [295, 442, 282], [354, 19, 370], [285, 441, 295],
+    [195, 248, 197], [457, 440, 274], [301, 300, 368], [417, 351, 465], [251, 301, 389], [394, 395, 379], [399, 412, 419], [410, 436, 322],
+    [326, 2, 393], [354, 370, 461], [393, 164, 267], [268, 302, 12], [312, 268, 13], [298, 293, 301], [265, 446, 340], [280, 330, 425],
+    [322, 426, 391], [420, 429, 437], [393, 391, 326], [344, 440, 438], [458, 459, 461], [364, 434, 394], [428, 396, 262], [274, 354, 457],
+    [317, 316, 402], [316, 315, 403], [315, 314, 404], [314, 313, 405], [313, 421, 406], [323, 366, 361], [292, 306, 407], [306, 291, 408],
+    [291, 287, 409], [287, 432, 410], [427, 434, 411], [372, 264, 383], [459, 309, 457], [366, 352, 401], [1, 274, 4], [418, 421, 262],
+    [331, 294, 358], [435, 433, 367], [392, 289, 439], [328, 462, 326], [94, 2, 370], [289, 305, 455], [339, 254, 448], [359, 255, 446],
+    [254, 253, 449], [253, 252, 450], [252, 256, 451], [256, 341, 452], [414, 413, 463], [286, 441, 414], [286, 258, 441], [258, 257, 442],
+    [257, 259, 443], [259, 260, 444], [260, 467, 445], [309, 459, 250], [305, 289, 290], [305, 290, 460], [401, 376, 435], [309, 250, 392],
+    [376, 411, 433], [453, 341, 464], [357, 453, 465], [343, 357, 412], [437, 343, 399], [344, 360, 440], [420, 437, 456], [360, 420, 363],
+    [361, 401, 288], [265, 372, 353], [390, 339, 249], [339, 448, 255]
+];
+
+// Named landmarks used to anchor filters
+const FACE_LANDMARKS = {
+    nose: 1,
+    forehead: 10,
+    upperLip: 13,
+    lowerLip: 14,
+    leftEye: 33,
+    leftMouth: 61,
+    leftEyeInner: 133,
+    chin: 152,
+    leftTemple: 234,
+    rightEye: 263,
+    rightMouth: 291,
+    rightEyeInner: 362,
+    rightTemple: 454
+};
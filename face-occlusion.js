@@ -0,0 +1,61 @@
+// Face occlusion for layers drawn behind the head
+//
+// Layers flagged as `behind` have the face cut out of them after they are
+// drawn, so they only show around the head. The cut-out follows the face oval
+// from FACE_SILHOUETTE and can be stretched above the forehead to cover the
+// hair as well.
+
+let occlusionHairExtension = 0.45; // How far the hair reaches above the forehead, in face heights
+
+/**
+ * Builds the outline of the part of the head that hides layers behind it
+ * @param {Array} landmarks - Normalized Face Mesh landmarks
+ * @param {boolean} [includeHair=false] - Whether to extend the outline over the hair
+ * @returns {Array<{x: number, y: number}>} Outline in canvas pixels
+ */
+function getHeadOutline(landmarks, includeHair = false) {
+    const toPixels = point => ({ x: point.x * canvas.width, y: point.y * canvas.height });
+    const outline = FACE_SILHOUETTE.map(index => toPixels(landmarks[index]));
+    if (!includeHair) return outline;
+
+    // Push the upper half of the outline away from the eyes, most at the top
+    const leftEye = toPixels(landmarks[FACE_LANDMARKS.leftEye]);
+    const rightEye = toPixels(landmarks[FACE_LANDMARKS.rightEye]);
+    const forehead = toPixels(landmarks[FACE_LANDMARKS.forehead]);
+    const chin = toPixels(landmarks[FACE_LANDMARKS.chin]);
+    const center = { x: (leftEye.x + rightEye.x) / 2, y: (leftEye.y + rightEye.y) / 2 };
+    const faceHeight = Math.hypot(forehead.x - chin.x, forehead.y - chin.y) || 1;
+    const up = { x: (forehead.x - chin.x) / faceHeight, y: (forehead.y - chin.y) / faceHeight };
+
+    return outline.map(point => {
+        const dx = point.x - center.x;
+        const dy = point.y - center.y;
+        const distance = Math.hypot(dx, dy) || 1;
+        const upness = Math.max(0, (dx * up.x + dy * up.y) / distance);
+        const push = faceHeight * occlusionHairExtension * upness;
+        return { x: point.x + dx / distance * push, y: point.y + dy / distance * push };
+    });
+}
+
+/**
+ * Erases the heads of the given faces from a layer
+ * @param {CanvasRenderingContext2D} targetCtx - Context of the layer to cut
+ * @param {Array<Array>} faces - Landmarks of the faces in front of the layer
+ * @param {boolean} [includeHair=false] - Whether the hair hides the layer too
+ */
+function cutOutHeads(targetCtx, faces, includeHair = false) {
+    targetCtx.save();
+    targetCtx.globalCompositeOperation = 'destination-out';
+    targetCtx.fillStyle = '#000000';
+    for (const landmarks of faces) {
+        const outline = getHeadOutline(landmarks, includeHair);
+        targetCtx.beginPath();
+        outline.forEach((point, i) => {
+            if (i === 0) targetCtx.moveTo(point.x, point.y);
+            else targetCtx.lineTo(point.x, point.y);
+        });
+        targetCtx.closePath();
+        targetCtx.fill();
+    }
+    targetCtx.restore();
+}
@@ -0,0 +1,175 @@
+// UV-mapped face paint
+//
+// A face paint is an image laid out in the canonical Face Mesh UV space (the
+// same layout as FACE_UV_COORDS: u runs left to right, v top to bottom). It is
+// warped onto the tracked face one mesh triangle at a time, so the paint
+// follows the shape of the face instead of floating over it.
+//
+//     registerFacePaint('flag', { name: 'Flag', src: 'paints/flag.png', opacity: 0.7 });
+
+let facePaintTriangleSigns = null; // Winding of each triangle in UV space, for back-face culling
+
+/**
+ * Registers a face paint as a filter
+ * @param {string} id - Unique filter id
+ * @param {Object} paint - Face paint definition
+ * @param {string} paint.name - Display name of the filter
+ * @param {string|HTMLCanvasElement|HTMLImageElement} paint.src - URL of the texture, or a ready image or canvas
+ * @param {number} [paint.zIndex=0] - Stacking order, higher is drawn on top
+ * @param {number} [paint.opacity=1] - Layer opacity from 0 to 1
+ * @param {string} [paint.blendMode='source-over'] - Canvas composite operation
+ * @param {Object|false} [paint.smoothing] - Landmark smoothing parameters, or false for raw landmarks
+ * @returns {boolean} True if the filter was registered
+ */
+function registerFacePaint(id, paint) {
+    let texture = paint.src;
+    if (typeof texture === 'string') {
+        texture = new Image();
+        texture.onerror = () => console.warn(`Could not load face paint "${paint.src}"`);
+        texture.src = paint.src;
+    }
+
+    return registerFilter(id, {
+        name: paint.name,
+        draw: landmarks => drawFacePaint(landmarks, texture),
+        followHeadPose: false, // The mesh already follows the face exactly
+        smoothing: paint.smoothing,
+        zIndex: paint.zIndex,
+        opacity: paint.opacity,
+        blendMode: paint.blendMode
+    });
+}
+
+/**
+ * Warps a UV-space texture onto the face mesh
+ * @param {Array} landmarks - Normalized Face Mesh landmarks
+ * @param {HTMLCanvasElement|HTMLImageElement} texture - Texture in canonical UV layout
+ */
+function drawFacePaint(landmarks, texture) {
+    const textureWidth = texture.naturalWidth || texture.width;
+    const textureHeight = texture.naturalHeight || texture.height;
+    if (!textureWidth || !textureHeight || texture.complete === false) return;
+
+    if (!facePaintTriangleSigns) {
+        facePaintTriangleSigns = FACE_TRIANGLES.map(([a, b, c]) =>
+            Math.sign(triangleArea(FACE_UV_COORDS[a], FACE_UV_COORDS[b], FACE_UV_COORDS[c])));
+    }
+
+    const points = landmarks.map(point => [point.x * canvas.width, point.y * canvas.height]);
+    FACE_TRIANGLES.forEach(([a, b, c], i) => {
+        const area = triangleArea(points[a], points[b], points[c]);
+
+        // Skip triangles turned away from the camera or too small to see
+        if (Math.sign(area) !== facePaintTriangleSigns[i] || Math.abs(area) < 0.5) return;
+
+        const source = [a, b, c].map(index => [
+            FACE_UV_COORDS[index][0] * textureWidth,
+            FACE_UV_COORDS[index][1] * textureHeight
+        ]);
+        drawTexturedTriangle(texture, source, [points[a], points[b], points[c]]);
+    });
+}
+
+/**
+ * Draws one triangle of a texture onto a triangle of the canvas
+ * @param {CanvasImageSource} texture - Source image
+ * @param {number[][]} source - Triangle corners in texture pixels
+ * @param {number[][]} target - Triangle corners in canvas pixels
+ */
+function drawTexturedTriangle(texture, source, target) {
+    const [[sx0, sy0], [sx1, sy1], [sx2, sy2]] = source;
+    const [[dx0, dy0], [dx1, dy1], [dx2, dy2]] = target;
+
+    const denominator = (sx1 - sx0) * (sy2 - sy0) - (sx2 - sx0) * (sy1 - sy0);
+    if (denominator === 0) return;
+
+    // Affine transform taking the texture triangle onto the canvas triangle
+    const a = ((dx1 - dx0) * (sy2 - sy0) - (dx2 - dx0) * (sy1 - sy0)) / denominator;
+    const b = ((dy1 - dy0) * (sy2 - sy0) - (dy2 - dy0) * (sy1 - sy0)) / denominator;
+    const c = ((dx2 - dx0) * (sx1 - sx0) - (dx1 - dx0) * (sx2 - sx0)) / denominator;
+    const d = ((dy2 - dy0) * (sx1 - sx0) - (dy1 - dy0) * (sx2 - sx0)) / denominator;
+    const e = dx0 - a * sx0 - c * sy0;
+    const f = dy0 - b * sx0 - d * sy0;
+
+    // Grow the clip slightly so neighbouring triangles overlap without seams
+    const centerX = (dx0 + dx1 + dx2) / 3;
+    const centerY = (dy0 + dy1 + dy2) / 3;
+    ctx.save();
+    ctx.beginPath();
+    target.forEach(([x, y], i) => {
+        const length = Math.hypot(x - centerX, y - centerY) || 1;
+        const grownX = x + (x - centerX) / length * 0.75;
+        const grownY = y + (y - centerY) / length * 0.75;
+        if (i === 0) ctx.moveTo(grownX, grownY);
+        else ctx.lineTo(grownX, grownY);
+    });
+    ctx.closePath();
+    ctx.clip();
+    ctx.transform(a, b, c, d, e, f);
+    ctx.drawImage(texture, 0, 0);
+    ctx.restore();
+}
+
+/**
+ * Signed area of a triangle given as [x, y] points
+ */
+function triangleArea(p0, p1, p2) {
+    return ((p1[0] - p0[0]) * (p2[1] - p0[1]) - (p2[0] - p0[0]) * (p1[1] - p0[1])) / 2;
+}
+
+/**
+ * Paints tiger stripes in UV space, used by the built-in tiger face paint
+ * @param {number} size - Texture size in pixels
+ * @returns {HTMLCanvasElement}
+ */
+function createTigerPaintTexture(size) {
+    const texture = document.createElement('canvas');
+    texture.width = size;
+    texture.height = size;
+    const textureCtx = texture.getContext('2d');
+    const uv = index => [FACE_UV_COORDS[index][0] * size, FACE_UV_COORDS[index][1] * size];
+
+    // Orange base over the whole face
+    textureCtx.beginPath();
+    FACE_SILHOUETTE.forEach((index, i) => {
+        const [x, y] = uv(index);
+        if (i === 0) textureCtx.moveTo(x, y);
+        else textureCtx.lineTo(x, y);
+    });
+    textureCtx.closePath();
+    textureCtx.fillStyle = 'rgba(255, 140, 0, 0.6)';
+    textureCtx.fill();
+
+    // White muzzle around the mouth
+    const [mouthX, mouthY] = uv(FACE_LANDMARKS.upperLip);
+    textureCtx.beginPath();
+    textureCtx.ellipse(mouthX, mouthY, size * 0.13, size * 0.09, 0, 0, Math.PI * 2);
+    textureCtx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    textureCtx.fill();
+
+    // Black stripes, tapering towards the middle of the face
+    const stripe = (x0, y0, x1, y1, width) => {
+        const length = Math.hypot(x1 - x0, y1 - y0);
+        const normalX = -(y1 - y0) / length * width * size / 2;
+        const normalY = (x1 - x0) / length * width * size / 2;
+        textureCtx.beginPath();
+        textureCtx.moveTo(x0 * size + normalX, y0 * size + normalY);
+        textureCtx.lineTo(x1 * size, y1 * size);
+        textureCtx.lineTo(x0 * size - normalX, y0 * size - normalY);
+        textureCtx.closePath();
+        textureCtx.fill();
+    };
+    textureCtx.fillStyle = 'rgba(20, 20, 20, 0.85)';
+    [0.4, 0.5, 0.6].forEach(u => stripe(u, 0.08, 0.5 + (u - 0.5) * 0.4, 0.24, 0.05));
+    [0.42, 0.52, 0.62].forEach(v => {
+        stripe(0.02, v, 0.24, v + 0.03, 0.06);
+        stripe(0.98, v, 0.76, v + 0.03, 0.06);
+    });
+
+    // Black nose tip
+    const [noseX, noseY] = uv(FACE_LANDMARKS.nose);
+    textureCtx.beginPath();
+    textureCtx.ellipse(noseX, noseY, size * 0.035, size * 0.025, 0, 0, Math.PI * 2);
+    textureCtx.fill();
+    return texture;
+}
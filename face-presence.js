@@ -0,0 +1,110 @@
+// Face-lost handling
+//
+// When Face Mesh misses a face for a frame or two the overlay should not pop
+// out and back in. A lost face keeps being drawn at its last pose for
+// faceHoldTime, then fades out over faceFadeOutTime. A face that is detected
+// again fades back in over faceFadeInTime.
+//
+// facePresenceEvents dispatches 'facelost' once no face has been seen for
+// faceHoldTime, and 'facefound' when a face is detected again, so the UI can
+// show a "face not found" hint.
+
+let faceHoldTime = 250;         // Milliseconds a lost face keeps its last pose at full opacity
+let faceFadeOutTime = 250;      // Milliseconds a lost face takes to fade out
+let faceFadeInTime = 200;       // Milliseconds a detected face takes to fade in
+let presentFaces = new Map();   // Drawn faces keyed by face id
+let lastFaceSeenTime = null;    // When any face was last detected
+let lastPresenceTimestamp = null; // Timestamp of the previous update
+let facePresenceState = null;   // 'found' or 'lost' once known
+
+const facePresenceEvents = new EventTarget();
+
+/**
+ * Changes how long lost faces are held and faded
+ * @param {Object} policy - Times in milliseconds
+ * @param {number} [policy.holdTime] - Time a lost face keeps its last pose
+ * @param {number} [policy.fadeOutTime] - Time a lost face takes to fade out
+ * @param {number} [policy.fadeInTime] - Time a detected face takes to fade in
+ */
+function setFaceLostPolicy(policy) {
+    if (policy.holdTime !== undefined) faceHoldTime = Math.max(0, policy.holdTime);
+    if (policy.fadeOutTime !== undefined) faceFadeOutTime = Math.max(0, policy.fadeOutTime);
+    if (policy.fadeInTime !== undefined) faceFadeInTime = Math.max(0, policy.fadeInTime);
+
+    // Keep the face id while the face is still on screen
+    faceDropoutTolerance = Math.max(faceDropoutTolerance, faceHoldTime + faceFadeOutTime);
+}
+
+/**
+ * Updates which faces are drawn and how opaque they are
+ * @param {Array<Array>} faces - Landmarks of the faces detected this frame
+ * @param {number[]} faceIds - Tracked id of each detected face
+ * @param {number} timestamp - Frame time in milliseconds
+ * @returns {{faces: Array<Array>, faceIds: number[], opacities: number[]}}
+ *          Detected and held faces to draw, with their opacity from 0 to 1
+ */
+function updateFacePresence(faces, faceIds, timestamp) {
+    const elapsed = lastPresenceTimestamp === null ? 0 : timestamp - lastPresenceTimestamp;
+    lastPresenceTimestamp = timestamp;
+    if (lastFaceSeenTime === null) {
+        lastFaceSeenTime = timestamp;
+    }
+
+    // Detected faces fade in from wherever their opacity is
+    faces.forEach((landmarks, i) => {
+        const face = presentFaces.get(faceIds[i]) || { opacity: 0 };
+        face.landmarks = landmarks;
+        face.lastSeen = timestamp;
+        face.opacity = faceFadeInTime > 0 ? Math.min(1, face.opacity + elapsed / faceFadeInTime) : 1;
+        presentFaces.set(faceIds[i], face);
+    });
+
+    // Lost faces hold their pose, then fade out
+    for (const [faceId, face] of Array.from(presentFaces)) {
+        if (face.lastSeen === timestamp) continue;
+        const missingFor = timestamp - face.lastSeen;
+        if (missingFor <= faceHoldTime) continue;
+        face.opacity = faceFadeOutTime > 0
+            ? Math.min(face.opacity, 1 - (missingFor - faceHoldTime) / faceFadeOutTime)
+            : 0;
+        if (face.opacity <= 0) {
+            presentFaces.delete(faceId);
+        }
+    }
+
+    // Tell the UI whether a face is in view
+    if (faces.length > 0) {
+        lastFaceSeenTime = timestamp;
+        setFacePresenceState('found');
+    } else if (timestamp - lastFaceSeenTime > faceHoldTime) {
+        setFacePresenceState('lost');
+    }
+
+    const visible = Array.from(presentFaces);
+    return {
+        faces: visible.map(([, face]) => face.landmarks),
+        faceIds: visible.map(([faceId]) => faceId),
+        opacities: visible.map(([, face]) => face.opacity)
+    };
+}
+
+/**
+ * Forgets all faces, e.g. when the AR session stops
+ */
+function resetFacePresence() {
+    presentFaces.clear();
+    lastFaceSeenTime = null;
+    lastPresenceTimestamp = null;
+    facePresenceState = null;
+}
+
+function setFacePresenceState(state) {
+    if (facePresenceState === state) return;
+    facePresenceState = state;
+    facePresenceEvents.dispatchEvent(new CustomEvent(state === 'found' ? 'facefound' : 'facelost'));
+}
+
+// A face that left the tracker can no longer be held
+faceTrackerEvents.addEventListener('leave', event => {
+    presentFaces.delete(event.detail.faceId);
+});
@@ -0,0 +1,110 @@
+// Face identity tracking
+//
+// Face Mesh reports faces in no particular order, so the first face in one
+// frame may be the second in the next. The tracker matches each detected face
+// to the closest face of the previous frames by bounding box and gives it a
+// persistent id. A face that disappears keeps its id for a short grace period
+// so a dropped frame does not turn it into a new face.
+//
+// faceTrackerEvents dispatches 'enter' and 'leave' events whose detail is
+// { faceId }:
+//     faceTrackerEvents.addEventListener('leave', event => console.log(event.detail.faceId));
+
+let trackedFaces = new Map();   // Tracked faces keyed by face id
+let nextFaceId = 0;             // Id given to the next new face
+let faceDropoutTolerance = 500; // Milliseconds a face may go undetected before it leaves
+let faceMatchDistance = 0.75;   // Largest centroid move between frames, in face sizes
+
+const faceTrackerEvents = new EventTarget();
+
+/**
+ * Matches the detected faces to tracked faces
+ * @param {Array<Array>} faces - Landmarks of each detected face
+ * @param {number} timestamp - Frame time in milliseconds
+ * @returns {number[]} Face id of each detected face, in the same order
+ */
+function trackFaces(faces, timestamp) {
+    const boxes = faces.map(getFaceBox);
+
+    // Every pair of detected and tracked face close enough to be the same face
+    const candidates = [];
+    boxes.forEach((box, faceIndex) => {
+        trackedFaces.forEach(track => {
+            const distance = Math.hypot(box.centerX - track.box.centerX, box.centerY - track.box.centerY)
+                / Math.max(box.size, track.box.size);
+            if (distance <= faceMatchDistance) {
+                candidates.push({ faceIndex, track, distance });
+            }
+        });
+    });
+
+    // Pair them up greedily, closest first
+    candidates.sort((a, b) => a.distance - b.distance);
+    const faceIds = new Array(faces.length).fill(null);
+    const matchedIds = new Set();
+    for (const { faceIndex, track } of candidates) {
+        if (faceIds[faceIndex] !== null || matchedIds.has(track.id)) continue;
+        faceIds[faceIndex] = track.id;
+        matchedIds.add(track.id);
+        track.box = boxes[faceIndex];
+        track.lastSeen = timestamp;
+    }
+
+    // Unmatched faces are new
+    faceIds.forEach((faceId, faceIndex) => {
+        if (faceId !== null) return;
+        const track = { id: nextFaceId++, box: boxes[faceIndex], lastSeen: timestamp };
+        trackedFaces.set(track.id, track);
+        faceIds[faceIndex] = track.id;
+        faceTrackerEvents.dispatchEvent(new CustomEvent('enter', { detail: { faceId: track.id } }));
+    });
+
+    // Faces missing for longer than the grace period have left
+    for (const track of Array.from(trackedFaces.values())) {
+        if (timestamp - track.lastSeen > faceDropoutTolerance) {
+            removeTrackedFace(track.id);
+        }
+    }
+    return faceIds;
+}
+
+/**
+ * Forgets all tracked faces, dispatching 'leave' for each
+ */
+function resetFaceTracker() {
+    Array.from(trackedFaces.keys()).forEach(removeTrackedFace);
+}
+
+/**
+ * Returns the ids of the faces currently tracked, including ones briefly lost
+ * @returns {number[]}
+ */
+function getTrackedFaceIds() {
+    return Array.from(trackedFaces.keys());
+}
+
+function removeTrackedFace(faceId) {
+    trackedFaces.delete(faceId);
+    faceTrackerEvents.dispatchEvent(new CustomEvent('leave', { detail: { faceId } }));
+}
+
+/**
+ * Computes the normalized bounding box of a face
+ */
+function getFaceBox(landmarks) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const point of landmarks) {
+        minX = Math.min(minX, point.x);
+        minY = Math.min(minY, point.y);
+        maxX = Math.max(maxX, point.x);
+        maxY = Math.max(maxY, point.y);
+    }
+    return {
+        centerX: (minX + maxX) / 2,
+        centerY: (minY + maxY) / 2,
+        size: Math.max(maxX - minX, maxY - minY, 1e-6)
+    };
+}
@@ -0,0 +1,432 @@
+// Declarative JSON filters
+//
+// A filter definition describes shapes positioned relative to named face
+// landmarks, so new looks can be authored without writing canvas code:
+//
+// {
+//     "id": "myFilter",
+//     "name": "My Filter",
+//     "zIndex": 1,
+//     "behind": false,
+//     "followHeadPose": true,
+//     "smoothing": { "minCutoff": 1.5, "beta": 10 },
+//     "landmarks": { "noseBridge": 6 },
+//     "shapes": [
+//         { "type": "ellipse", "center": { "at": "nose" }, "rx": { "faceWidth": 0.05 }, "fill": "#FF69B4" }
+//     ]
+// }
+//
+// Points: { "at": name | index | { "x": name, "y": name }, "dx": length, "dy": length,
+//           "toward": name, "amount": fraction }
+// Lengths: a number of pixels, or an object summing units, e.g.
+//          { "faceWidth": 0.25, "px": 3, "sin": { "speed": 0.1, "amplitude": 3 } }
+// Paints: a CSS color, or a gradient
+//         { "type": "linear", "from": point, "to": point, "stops": [[0, color], [1, color]] }
+//         { "type": "radial", "center": point, "radius": length, "stops": [...] }
+// Shapes: polygon (points), ellipse (center, rx, ry, rotation), curve (3 or 4 points,
+//         quadratic or cubic), image (src, center, width, height, rotation).
+//         All shapes accept fill, stroke, lineWidth, opacity, shadow { color, blur }
+//         and repeat { count, dx, dy }, with count up to MAX_SHAPE_REPEAT.
+// Landmark indices are integers from 0 to 467, the Face Mesh landmarks.
+
+let jsonFilterImages = new Map(); // Loaded images keyed by source URL
+let colorCheckGradient = null;    // Scratch gradient used to check stop colors
+
+const JSON_SHAPE_TYPES = ['polygon', 'ellipse', 'curve', 'image'];
+const FACE_MESH_LANDMARK_COUNT = 468;
+const MAX_SHAPE_REPEAT = 50;
+
+/**
+ * Checks a filter definition and returns the problems found
+ * @param {Object} definition - Parsed JSON filter definition
+ * @returns {string[]} Error messages, empty when the definition is valid
+ */
+function validateFilterDefinition(definition) {
+    const errors = [];
+    if (!definition || typeof definition !== 'object') {
+        return ['Definition must be an object'];
+    }
+    if (typeof definition.id !== 'string' || !definition.id) {
+        errors.push('"id" must be a non-empty string');
+    }
+    if (!Array.isArray(definition.shapes)) {
+        errors.push('"shapes" must be an array');
+        return errors;
+    }
+
+    const isLandmarkIndex = index =>
+        Number.isInteger(index) && index >= 0 && index < FACE_MESH_LANDMARK_COUNT;
+    if (definition.landmarks !== undefined) {
+        if (!definition.landmarks || typeof definition.landmarks !== 'object' ||
+            Array.isArray(definition.landmarks)) {
+            errors.push('"landmarks" must be an object');
+            return errors;
+        }
+        Object.entries(definition.landmarks).forEach(([name, index]) => {
+            if (!isLandmarkIndex(index)) {
+                errors.push(`landmarks.${name}: ${JSON.stringify(index)} is not a landmark index`);
+            }
+        });
+    }
+
+    const landmarks = { ...FACE_LANDMARKS, ...definition.landmarks };
+    const checkAnchor = (anchor, where) => {
+        if (typeof anchor === 'number') {
+            if (!isLandmarkIndex(anchor)) errors.push(`${where}: ${anchor} is not a landmark index`);
+            return;
+        }
+        if (typeof anchor === 'string' && Object.hasOwn(landmarks, anchor)) return;
+        errors.push(`${where}: unknown landmark "${anchor}"`);
+    };
+    const checkPoint = (point, where) => {
+        if (!point || point.at === undefined || point.at === null) {
+            errors.push(`${where}: point needs "at"`);
+            return;
+        }
+        if (typeof point.at === 'object') {
+            checkAnchor(point.at.x, where);
+            checkAnchor(point.at.y, where);
+        } else {
+            checkAnchor(point.at, where);
+        }
+        if (point.toward !== undefined) {
+            checkAnchor(point.toward, where);
+        }
+    };
+
+    const checkStops = (stops, where) => {
+        if (stops === undefined) return;
+        if (!Array.isArray(stops)) {
+            errors.push(`${where}: gradient stops must be an array`);
+            return;
+        }
+        stops.forEach(stop => {
+            const [offset, color] = Array.isArray(stop) ? stop : [];
+            if (typeof offset !== 'number' || offset < 0 || offset > 1) {
+                errors.push(`${where}: gradient stop offset ${JSON.stringify(offset)} is not between 0 and 1`);
+            } else if (!isStopColor(color)) {
+                errors.push(`${where}: gradient stop color ${JSON.stringify(color)} is not a color`);
+            }
+        });
+    };
+
+    definition.shapes.forEach((shape, i) => {
+        const where = `shapes[${i}]`;
+        if (!shape || typeof shape !== 'object') {
+            errors.push(`${where}: shape must be an object`);
+            return;
+        }
+        if (!JSON_SHAPE_TYPES.includes(shape.type)) {
+            errors.push(`${where}: unknown shape type "${shape.type}"`);
+            return;
+        }
+        if (shape.type === 'polygon' || shape.type === 'curve') {
+            const points = Array.isArray(shape.points) ? shape.points : [];
+            const minPoints = shape.type === 'curve' ? 3 : 2;
+            if (points.length < minPoints || (shape.type === 'curve' && points.length > 4)) {
+                errors.push(`${where}: ${shape.type} has ${points.length} points`);
+            }
+            points.forEach(point => checkPoint(point, where));
+        } else {
+            checkPoint(shape.center, where);
+        }
+        if (shape.type === 'image' && typeof shape.src !== 'string') {
+            errors.push(`${where}: image needs "src"`);
+        }
+        [shape.fill, shape.stroke].forEach(paint => {
+            if (paint && typeof paint === 'object') {
+                if (paint.type !== 'linear' && paint.type !== 'radial') {
+                    errors.push(`${where}: unknown gradient type "${paint.type}"`);
+                } else if (paint.type === 'linear') {
+                    checkPoint(paint.from, where);
+                    checkPoint(paint.to, where);
+                } else {
+                    checkPoint(paint.center, where);
+                }
+                checkStops(paint.stops, where);
+            }
+        });
+        if (shape.repeat !== undefined) {
+            const count = shape.repeat && typeof shape.repeat === 'object' ? shape.repeat.count : null;
+            if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > MAX_SHAPE_REPEAT)) {
+                errors.push(`${where}: repeat count must be a whole number from 1 to ${MAX_SHAPE_REPEAT}`);
+            }
+        }
+    });
+    return errors;
+}
+
+/**
+ * Returns whether the canvas accepts a value as a gradient stop color
+ */
+function isStopColor(color) {
+    if (typeof color !== 'string') return false;
+    if (!colorCheckGradient) {
+        colorCheckGradient = document.createElement('canvas').getContext('2d').createLinearGradient(0, 0, 1, 0);
+    }
+    try {
+        colorCheckGradient.addColorStop(0, color);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Creates a draw function that renders a filter definition
+ * @param {Object} definition - Valid JSON filter definition
+ * @returns {Function} Draw function called with the face landmarks
+ */
+function createJsonFilter(definition) {
+    const names = { ...FACE_LANDMARKS, ...definition.landmarks };
+
+    // Preload the images the filter uses
+    definition.shapes
+        .filter(shape => shape.type === 'image')
+        .forEach(shape => loadJsonFilterImage(shape.src));
+
+    return function drawJsonFilter(landmarks) {
+        const scope = createJsonFilterScope(landmarks, names);
+        for (const shape of definition.shapes) {
+            const repeat = shape.repeat || { count: 1 };
+            for (let i = 0; i < (repeat.count || 1); i++) {
+                const shift = {
+                    x: resolveLength(repeat.dx, scope) * i,
+                    y: resolveLength(repeat.dy, scope) * i
+                };
+                drawJsonShape(shape, scope, shift);
+            }
+        }
+    };
+}
+
+/**
+ * Builds the landmark lookup and face units for one face
+ */
+function createJsonFilterScope(landmarks, names) {
+    const landmark = anchor => landmarks[typeof anchor === 'number' ? anchor : names[anchor]];
+    const distance = (a, b) => Math.hypot(
+        (b.x - a.x) * canvas.width,
+        (b.y - a.y) * canvas.height
+    );
+
+    // Same proportions as the hand-written filters in ar.js
+    const units = {
+        px: 1,
+        faceWidth: distance(landmark('leftTemple'), landmark('rightTemple')) * 1.5,
+        faceHeight: distance(landmark('nose'), landmark('chin')) * 2.2
+    };
+    return { landmark, units };
+}
+
+/**
+ * Converts a length description to pixels
+ */
+function resolveLength(length, scope) {
+    if (length === undefined || length === null) return 0;
+    if (typeof length === 'number') return length;
+
+    let pixels = 0;
+    for (const [unit, value] of Object.entries(length)) {
+        if (unit === 'sin') {
+            const wave = Math.sin(animationFrame * (value.speed || 0) + (value.phase || 0));
+            pixels += wave * (value.amplitude || 0) * (scope.units[value.unit || 'px'] || 0);
+        } else if (scope.units[unit] !== undefined) {
+            pixels += value * scope.units[unit];
+        }
+    }
+    return pixels;
+}
+
+/**
+ * Converts a point description to canvas coordinates
+ */
+function resolvePoint(point, scope, shift = { x: 0, y: 0 }) {
+    const split = typeof point.at === 'object' && point.at !== null;
+    const anchorX = split ? point.at.x : point.at;
+    const anchorY = split ? point.at.y : point.at;
+    let x = scope.landmark(anchorX).x * canvas.width;
+    let y = scope.landmark(anchorY).y * canvas.height;
+
+    if (point.toward !== undefined) {
+        const target = scope.landmark(point.toward);
+        const amount = point.amount ?? 0.5;
+        x += (target.x * canvas.width - x) * amount;
+        y += (target.y * canvas.height - y) * amount;
+    }
+    return {
+        x: x + resolveLength(point.dx, scope) + shift.x,
+        y: y + resolveLength(point.dy, scope) + shift.y
+    };
+}
+
+/**
+ * Converts a paint description to a color or canvas gradient
+ */
+function resolvePaint(paint, scope, shift) {
+    if (!paint || typeof paint === 'string') return paint;
+
+    let gradient;
+    if (paint.type === 'linear') {
+        const from = resolvePoint(paint.from, scope, shift);
+        const to = resolvePoint(paint.to, scope, shift);
+        gradient = ctx.createLinearGradient(from.x, from.y, to.x, to.y);
+    } else {
+        const center = resolvePoint(paint.center, scope, shift);
+        const radius = Math.max(resolveLength(paint.radius, scope), 0);
+        gradient = ctx.createRadialGradient(center.x, center.y, 0, center.x, center.y, radius);
+    }
+    (paint.stops || []).forEach(([offset, color]) => gradient.addColorStop(offset, color));
+    return gradient;
+}
+
+/**
+ * Draws a single shape of a filter definition
+ */
+function drawJsonShape(shape, scope, shift) {
+    ctx.save();
+    if (shape.opacity !== undefined) {
+        ctx.globalAlpha = shape.opacity;
+    }
+    if (shape.shadow) {
+        ctx.shadowColor = shape.shadow.color || 'transparent';
+        ctx.shadowBlur = resolveLength(shape.shadow.blur, scope);
+    }
+
+    if (shape.type === 'image') {
+        drawJsonImage(shape, scope, shift);
+        ctx.restore();
+        return;
+    }
+
+    ctx.beginPath();
+    if (shape.type === 'ellipse') {
+        const center = resolvePoint(shape.center, scope, shift);
+        const rx = Math.abs(resolveLength(shape.rx, scope));
+        const ry = Math.abs(resolveLength(shape.ry ?? shape.rx, scope));
+        ctx.ellipse(center.x, center.y, rx, ry, (shape.rotation || 0) * Math.PI / 180, 0, Math.PI * 2);
+    } else {
+        const points = shape.points.map(point => resolvePoint(point, scope, shift));
+        ctx.moveTo(points[0].x, points[0].y);
+        if (shape.type === 'curve' && points.length === 3) {
+            ctx.quadraticCurveTo(points[1].x, points[1].y, points[2].x, points[2].y);
+        } else if (shape.type === 'curve') {
+            ctx.bezierCurveTo(points[1].x, points[1].y, points[2].x, points[2].y, points[3].x, points[3].y);
+        } else {
+            points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+            if (shape.closed !== false) {
+                ctx.closePath();
+            }
+        }
+    }
+
+    if (shape.fill) {
+        ctx.fillStyle = resolvePaint(shape.fill, scope, shift);
+        ctx.fill();
+    }
+    if (shape.stroke) {
+        ctx.strokeStyle = resolvePaint(shape.stroke, scope, shift);
+        ctx.lineWidth = resolveLength(shape.lineWidth ?? 1, scope);
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
+/**
+ * Draws an image shape centered on its anchor point
+ */
+function drawJsonImage(shape, scope, shift) {
+    const image = jsonFilterImages.get(shape.src);
+    if (!image || !image.complete || !image.naturalWidth) return;
+
+    const center = resolvePoint(shape.center, scope, shift);
+    const width = resolveLength(shape.width, scope);
+    const height = shape.height !== undefined
+        ? resolveLength(shape.height, scope)
+        : width * image.naturalHeight / image.naturalWidth;
+
+    ctx.translate(center.x, center.y);
+    ctx.rotate((shape.rotation || 0) * Math.PI / 180);
+    ctx.drawImage(image, -width / 2, -height / 2, width, height);
+}
+
+/**
+ * Starts loading an image used by a filter definition
+ */
+function loadJsonFilterImage(src) {
+    if (jsonFilterImages.has(src)) return;
+
+    const image = new Image();
+    image.onerror = () => console.warn(`Could not load filter image "${src}"`);
+    image.src = src;
+    jsonFilterImages.set(src, image);
+}
+
+/**
+ * Validates a filter definition and registers it in the filter registry
+ * @param {Object} definition - Parsed JSON filter definition
+ * @returns {boolean} True if the filter was registered
+ */
+function registerJsonFilter(definition) {
+    const errors = validateFilterDefinition(definition);
+    if (errors.length > 0) {
+        console.warn(`Invalid filter definition "${definition && definition.id}":\n${errors.join('\n')}`);
+        return false;
+    }
+    return registerFilter(definition.id, {
+        name: definition.name,
+        draw: createJsonFilter(definition),
+        followHeadPose: definition.followHeadPose,
+        smoothing: definition.smoothing,
+        zIndex: definition.zIndex,
+        opacity: definition.opacity,
+        blendMode: definition.blendMode,
+        behind: definition.behind,
+        occludeHair: definition.occludeHair
+    });
+}
+
+/**
+ * Loads every filter definition a manifest lists, so designers add looks by
+ * dropping a file into filters/ and naming it in filters/index.json:
+ *     ["sparkles.json", "crown.json"]
+ * @param {string} url - URL of the manifest; entries are relative to it
+ * @returns {Promise<number>} Number of filters registered
+ */
+async function loadFilterManifest(url = 'filters/index.json') {
+    let entries;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        entries = await response.json();
+        if (!Array.isArray(entries) || !entries.every(entry => typeof entry === 'string')) {
+            throw new Error('the manifest must be an array of file names');
+        }
+    } catch (error) {
+        console.warn(`Could not load filter manifest "${url}":`, error);
+        return 0;
+    }
+    const base = new URL(url, location.href);
+    const results = await Promise.all(entries.map(entry => loadFilterDefinition(new URL(entry, base).href)));
+    return results.filter(Boolean).length;
+}
+
+/**
+ * Fetches a JSON filter definition and registers it
+ * @param {string} url - URL of the JSON file
+ * @returns {Promise<boolean>} True if the filter was registered
+ */
+async function loadFilterDefinition(url) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return registerJsonFilter(await response.json());
+    } catch (error) {
+        console.warn(`Could not load filter definition "${url}":`, error);
+        return false;
+    }
+}
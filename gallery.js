@@ -0,0 +1,307 @@
+// Photo gallery
+//
+// Captures are kept in an IndexedDB store instead of being downloaded straight
+// away, so they survive reloads and can be reviewed in the gallery drawer.
+// Each item holds the file as a Blob with its kind and a file name stamped
+// with the capture time; from the drawer an item can be viewed, downloaded,
+// shared through the Web Share API or deleted. Items are tagged with the guest
+// session they were taken in; the drawer only shows the current guest's, and
+// once a new guest session starts the earlier guests' items are deleted, so a
+// shared booth neither shows nor keeps them.
+// Where IndexedDB is unavailable captures are downloaded as before.
+
+const GALLERY_DB_NAME = 'arGallery';
+const GALLERY_STORE = 'captures';
+const CAPTURE_KINDS = {
+    photo: { prefix: 'ar-photo', label: 'Photo' },
+    strip: { prefix: 'ar-photostrip', label: 'Photo strip' },
+    clip: { prefix: 'ar-clip', label: 'GIF' },
+    boomerang: { prefix: 'ar-boomerang', label: 'Boomerang' },
+    video: { prefix: 'ar-video', label: 'Video' }
+};
+
+let galleryDb = null;           // Promise of the open database
+let galleryUrls = [];           // Object URLs shown in the drawer, revoked when it is rebuilt
+let galleryViewedId = null;     // Id of the item open in the viewer
+let galleryViewerUrl = null;    // Object URL shown in the viewer
+
+/**
+ * Opens the gallery database, creating the store on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openGalleryDb() {
+    if (!galleryDb) {
+        galleryDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(GALLERY_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(GALLERY_STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        galleryDb.catch(() => { galleryDb = null; });
+    }
+    return galleryDb;
+}
+
+/**
+ * Runs one request against the gallery store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the store, returns the request
+ * @returns {Promise<*>} Result of the request
+ */
+async function galleryRequest(mode, makeRequest) {
+    const db = await openGalleryDb();
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(GALLERY_STORE, mode).objectStore(GALLERY_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Keeps a capture in the gallery, or downloads it if it cannot be stored, and
+ * uploads it to the server
+ * @param {Blob} blob - The captured file
+ * @param {string} kind - Key of CAPTURE_KINDS
+ * @returns {Promise<Object>} The item; it has no id if it was downloaded
+ *          instead, and an uploadId once the server has stored it
+ */
+async function saveCapture(blob, kind) {
+    const item = {
+        kind,
+        name: captureFileName(kind, blob.type, new Date()),
+        type: blob.type,
+        blob,
+        guest: guestId,
+        createdAt: Date.now()
+    };
+    try {
+        item.id = await galleryRequest('readwrite', store => store.add(item));
+        document.getElementById('toggleGallery').classList.add('new-capture');
+        if (!document.getElementById('galleryDrawer').classList.contains('hidden')) {
+            renderGallery();
+        }
+    } catch (error) {
+        console.warn('Could not save to the gallery, downloading instead:', error);
+        downloadBlob(blob, item.name);
+    }
+
+    const upload = await uploadCapture(blob, kind);
+    if (upload) {
+        item.uploadId = upload.id;
+        if (item.id !== undefined) {
+            galleryRequest('readwrite', store => store.put(item)).catch(error =>
+                console.warn('Could not record the upload in the gallery:', error));
+        }
+    }
+    return item;
+}
+
+/**
+ * Returns the current guest's items in the gallery, newest first
+ * @returns {Promise<Object[]>}
+ */
+async function getGalleryItems() {
+    const items = await galleryRequest('readonly', store => store.getAll());
+    return items.filter(item => (item.guest ?? null) === guestId).reverse();
+}
+
+/**
+ * Returns one of the current guest's gallery items
+ * @param {number} id - Item id
+ * @returns {Promise<Object|undefined>}
+ */
+async function getGalleryItem(id) {
+    const item = await galleryRequest('readonly', store => store.get(id));
+    return item && (item.guest ?? null) === guestId ? item : undefined;
+}
+
+/**
+ * Deletes the items of earlier guests
+ * Without a server there are no guest sessions, and nothing is deleted.
+ * @returns {Promise<number>} Number of items deleted
+ */
+async function deleteOtherGuestsItems() {
+    if (guestId === null) return 0;
+    try {
+        const items = await galleryRequest('readonly', store => store.getAll());
+        const stale = items.filter(item => (item.guest ?? null) !== guestId);
+        await Promise.all(stale.map(item => galleryRequest('readwrite', store => store.delete(item.id))));
+        return stale.length;
+    } catch (error) {
+        console.warn('Could not delete earlier guests\' captures:', error);
+        return 0;
+    }
+}
+
+/**
+ * Removes an item from the gallery
+ * @param {number} id - Item id
+ * @returns {Promise<boolean>} True if it was removed
+ */
+async function deleteGalleryItem(id) {
+    try {
+        await galleryRequest('readwrite', store => store.delete(id));
+    } catch (error) {
+        console.error('Error deleting gallery item:', error);
+        return false;
+    }
+    if (galleryViewedId === id) closeGalleryViewer();
+    renderGallery();
+    return true;
+}
+
+/**
+ * Saves a gallery item to the device's downloads
+ * @param {number} id - Item id
+ */
+async function downloadGalleryItem(id) {
+    const item = await getGalleryItem(id);
+    if (item) downloadBlob(item.blob, item.name);
+}
+
+/**
+ * Hands a gallery item to the system share sheet
+ * @param {number} id - Item id
+ * @returns {Promise<boolean>} True if it was shared
+ */
+async function shareGalleryItem(id) {
+    const item = await getGalleryItem(id);
+    if (!item) return false;
+
+    const file = new File([item.blob], item.name, { type: item.type });
+    if (!navigator.canShare || !navigator.canShare({ files: [file] })) {
+        console.warn('Sharing files is not supported in this browser');
+        return false;
+    }
+    try {
+        await navigator.share({ files: [file], title: CAPTURE_KINDS[item.kind]?.label });
+        return true;
+    } catch (error) {
+        // Closing the share sheet rejects with an AbortError
+        if (error.name !== 'AbortError') console.error('Error sharing gallery item:', error);
+        return false;
+    }
+}
+
+/**
+ * Opens or closes the gallery drawer
+ */
+function toggleGallery() {
+    const drawer = document.getElementById('galleryDrawer');
+    drawer.classList.toggle('hidden');
+    if (drawer.classList.contains('hidden')) {
+        closeGalleryViewer();
+    } else {
+        document.getElementById('toggleGallery').classList.remove('new-capture');
+        renderGallery();
+    }
+}
+
+/**
+ * Fills the drawer with a thumbnail of every item
+ */
+async function renderGallery() {
+    const list = document.getElementById('galleryList');
+    let items;
+    try {
+        items = await getGalleryItems();
+    } catch (error) {
+        console.error('Error loading the gallery:', error);
+        items = [];
+    }
+
+    galleryUrls.forEach(url => URL.revokeObjectURL(url));
+    galleryUrls = [];
+    list.innerHTML = '';
+    document.getElementById('galleryEmpty').classList.toggle('hidden', items.length > 0);
+
+    items.forEach(item => {
+        const url = URL.createObjectURL(item.blob);
+        galleryUrls.push(url);
+        const thumbnail = document.createElement('button');
+        thumbnail.className = 'gallery-item';
+        thumbnail.title = item.name;
+        thumbnail.appendChild(createGalleryMedia(item, url, false));
+        thumbnail.addEventListener('click', () => viewGalleryItem(item.id));
+        list.appendChild(thumbnail);
+    });
+}
+
+/**
+ * Shows one item large, with its actions
+ * @param {number} id - Item id
+ */
+async function viewGalleryItem(id) {
+    const item = await getGalleryItem(id);
+    if (!item) return;
+
+    closeGalleryViewer();
+    galleryViewedId = id;
+    galleryViewerUrl = URL.createObjectURL(item.blob);
+    document.getElementById('galleryViewerMedia').appendChild(createGalleryMedia(item, galleryViewerUrl, true));
+    document.getElementById('galleryViewerTitle').textContent =
+        `${CAPTURE_KINDS[item.kind]?.label || 'Capture'} · ${new Date(item.createdAt).toLocaleString()}`;
+    document.getElementById('galleryViewer').classList.remove('hidden');
+}
+
+function closeGalleryViewer() {
+    galleryViewedId = null;
+    if (galleryViewerUrl) URL.revokeObjectURL(galleryViewerUrl);
+    galleryViewerUrl = null;
+    document.getElementById('galleryViewer').classList.add('hidden');
+    document.getElementById('galleryViewerMedia').innerHTML = '';
+}
+
+/**
+ * Creates the element showing an item: an image, or a video for recordings
+ * @param {Object} item - Gallery item
+ * @param {string} url - Object URL of the item's file
+ * @param {boolean} large - Whether it is for the viewer rather than a thumbnail
+ * @returns {HTMLElement}
+ */
+function createGalleryMedia(item, url, large) {
+    if (item.type.startsWith('video/')) {
+        const video = document.createElement('video');
+        video.src = url;
+        video.muted = !large;
+        video.controls = large;
+        video.playsInline = true;
+        video.preload = 'metadata';
+        return video;
+    }
+    const image = document.createElement('img');
+    image.src = url;
+    image.alt = item.name;
+    return image;
+}
+
+/**
+ * Names a capture after its kind and time, e.g. ar-photo-2026-10-19-1432.png
+ * @param {string} kind - Key of CAPTURE_KINDS
+ * @param {string} type - MIME type of the file
+ * @param {Date} date - Capture time
+ * @returns {string}
+ */
+function captureFileName(kind, type, date) {
+    const pad = value => String(value).padStart(2, '0');
+    const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `-${pad(date.getHours())}${pad(date.getMinutes())}`;
+    const subtype = type.split(/[/;]/)[1] || 'bin';
+    const extension = subtype === 'jpeg' ? 'jpg' : subtype;
+    return `${CAPTURE_KINDS[kind]?.prefix || 'ar-capture'}-${stamp}.${extension}`;
+}
+
+/**
+ * Downloads a file through a temporary link
+ * @param {Blob} blob - File contents
+ * @param {string} name - File name to save as
+ */
+function downloadBlob(blob, name) {
+    const link = document.createElement('a');
+    link.download = name;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
@@ -0,0 +1,204 @@
+// Gesture-to-action bindings
+//
+// Bindings map expression event names to app actions. They are plain JSON so
+// kiosk operators can edit them in the settings panel, and they are saved in
+// localStorage so they survive reloads:
+//     { "smile": "takePhoto", "wink": "nextFilter", "mouthOpen": "meow" }
+//
+// Actions are registered by id; their run function receives the expression
+// event detail ({ faceId, timestamp }). Expressions are detected before the
+// frame is drawn, so actions are queued and run once the frame is composited,
+// which lets a smile take a photo with the filters on it.
+
+const GESTURE_BINDINGS_KEY = 'arGestureBindings';
+const DEFAULT_GESTURE_BINDINGS = { mouthOpen: 'meow' };
+
+let gestureBindings = { ...DEFAULT_GESTURE_BINDINGS }; // Action id bound to each expression
+let gestureActions = new Map();                        // Actions keyed by id
+let pendingGestureActions = [];                        // Actions and event details waiting for the frame to be drawn
+
+/**
+ * Makes an action available to gesture bindings
+ * @param {string} id - Unique action id used in the bindings
+ * @param {Object} action - Action definition
+ * @param {string} action.name - Label shown in the settings panel
+ * @param {Function} action.run - Called with the expression event detail
+ */
+function registerGestureAction(id, action) {
+    gestureActions.set(id, { id, name: action.name || id, run: action.run });
+    buildGestureSettings();
+}
+
+registerGestureAction('takePhoto', { name: 'Take photo', run: () => takePhoto() });
+registerGestureAction('countdownPhoto', { name: 'Photo with countdown', run: () => startPhotoCountdown(countdownSeconds || 3) });
+registerGestureAction('burst', { name: 'Photo strip burst', run: () => startBurst() });
+registerGestureAction('toggleMusic', { name: 'Toggle music', run: () => toggleMusic() });
+registerGestureAction('toggleCamera', { name: 'Switch camera', run: () => toggleCamera() });
+registerGestureAction('nextFilter', { name: 'Next filter', run: () => selectNextFilter() });
+registerGestureAction('startRecording', { name: 'Start recording', run: () => startRecording() });
+registerGestureAction('meow', { name: 'Meow', run: detail => playMeow({ detail }) });
+
+/**
+ * Checks that bindings only use known expressions and actions
+ * @param {Object} bindings - Action id keyed by expression event name
+ * @returns {string[]} Problems found, empty if the bindings are valid
+ */
+function validateGestureBindings(bindings) {
+    if (!bindings || typeof bindings !== 'object' || Array.isArray(bindings)) {
+        return ['Bindings must be an object'];
+    }
+    const errors = [];
+    Object.entries(bindings).forEach(([expression, actionId]) => {
+        if (!EXPRESSION_EVENTS.includes(expression)) {
+            errors.push(`unknown expression "${expression}"`);
+        }
+        if (!gestureActions.has(actionId)) {
+            errors.push(`${expression}: unknown action "${actionId}"`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Replaces the gesture bindings and saves them
+ * @param {Object} bindings - Action id keyed by expression event name
+ * @returns {boolean} True if the bindings were valid and applied
+ */
+function setGestureBindings(bindings) {
+    const errors = validateGestureBindings(bindings);
+    if (errors.length > 0) {
+        console.warn(`Invalid gesture bindings:\n${errors.join('\n')}`);
+        return false;
+    }
+    gestureBindings = { ...bindings };
+    try {
+        localStorage.setItem(GESTURE_BINDINGS_KEY, JSON.stringify(gestureBindings));
+    } catch (error) {
+        console.warn('Could not save gesture bindings:', error);
+    }
+    updateGestureSettings();
+    return true;
+}
+
+/**
+ * Restores the saved gesture bindings, keeping the defaults if there are none
+ */
+function loadGestureBindings() {
+    let saved;
+    try {
+        saved = localStorage.getItem(GESTURE_BINDINGS_KEY);
+        if (saved === null) return;
+        saved = JSON.parse(saved);
+    } catch (error) {
+        console.warn('Could not load gesture bindings:', error);
+        return;
+    }
+    const errors = validateGestureBindings(saved);
+    if (errors.length > 0) {
+        console.warn(`Ignoring saved gesture bindings:\n${errors.join('\n')}`);
+        return;
+    }
+    gestureBindings = saved;
+    updateGestureSettings();
+}
+
+/**
+ * Goes back to the default bindings
+ */
+function resetGestureBindings() {
+    setGestureBindings(DEFAULT_GESTURE_BINDINGS);
+}
+
+/**
+ * Queues the action bound to an expression event for the end of the frame
+ */
+function runGestureAction(event) {
+    const action = gestureActions.get(gestureBindings[event.type]);
+    if (action) {
+        pendingGestureActions.push({ action, detail: event.detail });
+    }
+}
+
+/**
+ * Runs the queued actions
+ * Called at the end of every frame, after the filter layers.
+ */
+function runPendingGestureActions() {
+    const pending = pendingGestureActions;
+    pendingGestureActions = [];
+    pending.forEach(({ action, detail }) => action.run(detail));
+}
+
+function cancelGestureActions() {
+    pendingGestureActions = [];
+}
+
+EXPRESSION_EVENTS.forEach(name => expressionEvents.addEventListener(name, runGestureAction));
+
+/**
+ * Builds one action picker per expression in the settings panel
+ */
+function buildGestureSettings() {
+    const list = document.getElementById('gestureBindingList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    EXPRESSION_EVENTS.forEach(expression => {
+        const row = document.createElement('label');
+        row.className = 'gesture-binding';
+        row.textContent = expression;
+
+        const picker = document.createElement('select');
+        picker.dataset.expression = expression;
+        picker.add(new Option('Nothing', ''));
+        gestureActions.forEach(action => picker.add(new Option(action.name, action.id)));
+        picker.addEventListener('change', () => {
+            const bindings = { ...gestureBindings };
+            if (picker.value) {
+                bindings[expression] = picker.value;
+            } else {
+                delete bindings[expression];
+            }
+            setGestureBindings(bindings);
+        });
+        row.appendChild(picker);
+        list.appendChild(row);
+    });
+    updateGestureSettings();
+}
+
+/**
+ * Shows the current bindings in the settings panel
+ */
+function updateGestureSettings() {
+    const list = document.getElementById('gestureBindingList');
+    if (list) {
+        list.querySelectorAll('select').forEach(picker => {
+            picker.value = gestureBindings[picker.dataset.expression] || '';
+        });
+    }
+    const editor = document.getElementById('gestureBindingJson');
+    if (editor) {
+        editor.value = JSON.stringify(gestureBindings, null, 2);
+    }
+}
+
+/**
+ * Applies the bindings typed into the JSON editor of the settings panel
+ */
+function applyGestureBindingJson() {
+    const editor = document.getElementById('gestureBindingJson');
+    const status = document.getElementById('gestureBindingStatus');
+    let bindings;
+    try {
+        bindings = JSON.parse(editor.value);
+    } catch (error) {
+        status.textContent = `Not valid JSON: ${error.message}`;
+        return;
+    }
+    const errors = validateGestureBindings(bindings);
+    status.textContent = errors.join('\n');
+    if (errors.length === 0) {
+        setGestureBindings(bindings);
+    }
+}
@@ -0,0 +1,276 @@
+// Animated GIF and boomerang export
+//
+// A clip is a short run of frames grabbed from the composited AR view, scaled
+// down and encoded as an animated GIF in the browser: one palette of up to
+// 256 colors is built for the whole clip by median cut, every frame is mapped
+// onto it and LZW-compressed. A boomerang plays the frames forwards and then
+// backwards so the loop has no jump.
+
+const CLIP_PRESETS = {
+    small: { width: 240, fps: 10 },
+    medium: { width: 360, fps: 12 },
+    large: { width: 480, fps: 15 }
+};
+
+let clipPreset = 'medium';      // Key of CLIP_PRESETS used for new clips
+let clipFrameCount = 24;        // Frames grabbed for each clip
+let clipBoomerang = false;      // Whether clips play forwards then backwards
+let clipCapture = null;         // Running capture: frames so far and when to grab the next
+let clipCanvas;                 // Small canvas frames are scaled onto
+let clipCtx;                    // Context of the clip canvas
+
+/**
+ * Starts grabbing frames for a clip; the GIF is saved to the gallery once it is encoded
+ * @returns {boolean} True if a capture was started
+ */
+function startClipCapture() {
+    if (!isARActive || clipCapture) return false;
+
+    const preset = CLIP_PRESETS[clipPreset];
+    const region = getCaptureRegion();
+    const width = Math.round(Math.min(preset.width, region.width));
+    clipCanvas = clipCanvas || document.createElement('canvas');
+    clipCtx = clipCtx || clipCanvas.getContext('2d', { willReadFrequently: true });
+    clipCanvas.width = width;
+    clipCanvas.height = Math.round(width * region.height / region.width);
+
+    clipCapture = { frames: [], interval: 1000 / preset.fps, nextFrameTime: 0 };
+    document.getElementById('captureClip').classList.add('capturing');
+    return true;
+}
+
+/**
+ * Grabs the current frame when the next clip frame is due
+ * Called at the end of every frame.
+ * @param {number} timestamp - Frame time in milliseconds
+ */
+function updateClipCapture(timestamp) {
+    if (!clipCapture || timestamp < clipCapture.nextFrameTime) return;
+
+    clipCapture.nextFrameTime = Math.max(clipCapture.nextFrameTime + clipCapture.interval, timestamp);
+    drawCompositedView(clipCtx, clipCanvas.width, clipCanvas.height);
+    clipCapture.frames.push(clipCtx.getImageData(0, 0, clipCanvas.width, clipCanvas.height).data);
+    if (clipCapture.frames.length < clipFrameCount) return;
+
+    // Encode after this frame so the view keeps updating until then
+    const { frames, interval } = clipCapture;
+    const boomerang = clipBoomerang;
+    clipCapture = null;
+    const button = document.getElementById('captureClip');
+    button.classList.remove('capturing');
+    button.classList.add('encoding');
+    setTimeout(() => {
+        const sequence = boomerang ? frames.concat(frames.slice(1, -1).reverse()) : frames;
+        const gif = encodeGif(sequence, clipCanvas.width, clipCanvas.height, interval);
+        button.classList.remove('encoding');
+        saveCapture(new Blob([gif], { type: 'image/gif' }), boomerang ? 'boomerang' : 'clip');
+    }, 0);
+}
+
+/**
+ * Stops a running capture without encoding it
+ */
+function cancelClipCapture() {
+    clipCapture = null;
+    document.getElementById('captureClip').classList.remove('capturing');
+}
+
+/**
+ * Encodes RGBA frames as a looping animated GIF
+ * @param {Uint8ClampedArray[]} frames - RGBA pixels of each frame
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @param {number} frameDelay - Milliseconds each frame is shown
+ * @returns {Uint8Array} GIF file contents
+ */
+function encodeGif(frames, width, height, frameDelay) {
+    const palette = buildPalette(frames, 256);
+    const output = [];
+    const writeShort = value => output.push(value & 0xff, (value >> 8) & 0xff);
+    const writeString = text => { for (const char of text) output.push(char.charCodeAt(0)); };
+
+    // Header and logical screen with a global 256 color table
+    writeString('GIF89a');
+    writeShort(width);
+    writeShort(height);
+    output.push(0xf7, 0, 0);
+    for (let i = 0; i < 256; i++) {
+        const color = palette[i] || [0, 0, 0];
+        output.push(color[0], color[1], color[2]);
+    }
+
+    // Loop forever
+    output.push(0x21, 0xff, 0x0b);
+    writeString('NETSCAPE2.0');
+    output.push(0x03, 0x01, 0x00, 0x00, 0x00);
+
+    const delay = Math.max(2, Math.round(frameDelay / 10)); // Hundredths of a second
+    const mapColor = createPaletteMapper(palette);
+    for (const frame of frames) {
+        // Graphic control extension with the frame delay
+        output.push(0x21, 0xf9, 0x04, 0x00);
+        writeShort(delay);
+        output.push(0x00, 0x00);
+
+        // Image descriptor covering the whole screen, using the global table
+        output.push(0x2c);
+        writeShort(0);
+        writeShort(0);
+        writeShort(width);
+        writeShort(height);
+        output.push(0x00);
+
+        const indices = new Uint8Array(width * height);
+        for (let i = 0; i < indices.length; i++) {
+            indices[i] = mapColor(frame[i * 4], frame[i * 4 + 1], frame[i * 4 + 2]);
+        }
+        output.push(8);
+        const data = lzwEncode(indices, 8);
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.subarray(i, i + 255);
+            output.push(block.length, ...block);
+        }
+        output.push(0x00);
+    }
+
+    output.push(0x3b);
+    return Uint8Array.from(output);
+}
+
+/**
+ * Builds a palette for the frames with median cut
+ * @returns {Array<number[]>} Up to `size` [r, g, b] colors
+ */
+function buildPalette(frames, size) {
+    // Sample the pixels evenly, enough to find the main colors
+    const pixelCount = frames.reduce((total, frame) => total + frame.length / 4, 0);
+    const step = Math.max(1, Math.floor(pixelCount / 60000));
+    const samples = [];
+    let offset = 0;
+    for (const frame of frames) {
+        for (let i = offset; i < frame.length / 4; i += step) {
+            samples.push((frame[i * 4] << 16) | (frame[i * 4 + 1] << 8) | frame[i * 4 + 2]);
+        }
+        offset = (offset + frame.length / 4) % step;
+    }
+
+    // Keep splitting the box with the widest color range at its median
+    const channel = (color, shift) => (color >> shift) & 0xff;
+    const measure = colors => {
+        let widest = { range: -1, shift: 16 };
+        for (const shift of [16, 8, 0]) {
+            let min = 255;
+            let max = 0;
+            for (const color of colors) {
+                const value = channel(color, shift);
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            if (max - min > widest.range) widest = { range: max - min, shift };
+        }
+        return { colors, ...widest };
+    };
+    const boxes = [measure(samples)];
+    while (boxes.length < size) {
+        let index = 0;
+        boxes.forEach((box, i) => { if (box.range > boxes[index].range) index = i; });
+        const box = boxes[index];
+        if (box.range <= 0 || box.colors.length < 2) break;
+
+        box.colors.sort((a, b) => channel(a, box.shift) - channel(b, box.shift));
+        const middle = box.colors.length >> 1;
+        boxes.splice(index, 1, measure(box.colors.slice(0, middle)), measure(box.colors.slice(middle)));
+    }
+
+    return boxes.map(({ colors }) => {
+        const sum = [0, 0, 0];
+        for (const color of colors) {
+            sum[0] += channel(color, 16);
+            sum[1] += channel(color, 8);
+            sum[2] += channel(color, 0);
+        }
+        return sum.map(value => Math.round(value / Math.max(1, colors.length)));
+    });
+}
+
+/**
+ * Returns a function finding the closest palette index for a color
+ * Results are cached per 15-bit color so each is only searched once.
+ */
+function createPaletteMapper(palette) {
+    const cache = new Int16Array(32768).fill(-1);
+    return (r, g, b) => {
+        const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        if (cache[key] >= 0) return cache[key];
+
+        let best = 0;
+        let bestDistance = Infinity;
+        palette.forEach(([pr, pg, pb], i) => {
+            const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        });
+        cache[key] = best;
+        return best;
+    };
+}
+
+/**
+ * Compresses palette indices with GIF's variable-length LZW
+ * @param {Uint8Array} indices - Palette index of every pixel
+ * @param {number} minCodeSize - Bits per palette index
+ * @returns {Uint8Array} Compressed data, before splitting into sub-blocks
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let buffer = 0;
+    let bufferBits = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    const emit = code => {
+        buffer |= code << bufferBits;
+        bufferBits += codeSize;
+        while (bufferBits >= 8) {
+            bytes.push(buffer & 0xff);
+            buffer >>= 8;
+            bufferBits -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            // Table full, start over
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = index;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bufferBits > 0) {
+        bytes.push(buffer & 0xff);
+    }
+    return Uint8Array.from(bytes);
+}
@@ -0,0 +1,149 @@
+// Head pose estimation for AR filters
+//
+// The pose is estimated from two Face Mesh landmark pairs: the temples give
+// the face's horizontal axis and the forehead and chin its vertical axis, in
+// pixel units with the landmark depth (z) included. From those axes we build
+// an affine face transform that filters draw through, so shapes laid out
+// upright on the face rotate, scale and foreshorten with the head.
+
+const MIN_FORESHORTENING = 0.3; // Smallest axis scale before the transform stops squashing shapes
+
+/**
+ * Estimates the head pose of one face
+ * @param {Array} landmarks - Normalized Face Mesh landmarks
+ * @returns {{roll: number, yaw: number, pitch: number, xAxis: Object, yAxis: Object}}
+ *          Angles in radians; roll is clockwise on screen, yaw is positive when
+ *          the nose points to the right of the image, pitch when it points down.
+ *          The axes are unit vectors in pixel space.
+ */
+function estimateHeadPose(landmarks) {
+    const toPixels = point => ({
+        x: point.x * canvas.width,
+        y: point.y * canvas.height,
+        z: (point.z || 0) * canvas.width
+    });
+    const leftTemple = toPixels(landmarks[FACE_LANDMARKS.leftTemple]);
+    const rightTemple = toPixels(landmarks[FACE_LANDMARKS.rightTemple]);
+    const forehead = toPixels(landmarks[FACE_LANDMARKS.forehead]);
+    const chin = toPixels(landmarks[FACE_LANDMARKS.chin]);
+
+    // Horizontal axis from temple to temple
+    const xAxis = normalizeVector(subtractVectors(rightTemple, leftTemple));
+
+    // Vertical axis from forehead to chin, made perpendicular to the horizontal one
+    const down = subtractVectors(chin, forehead);
+    const overlap = dotVectors(down, xAxis);
+    const yAxis = normalizeVector({
+        x: down.x - xAxis.x * overlap,
+        y: down.y - xAxis.y * overlap,
+        z: down.z - xAxis.z * overlap
+    });
+
+    return {
+        roll: Math.atan2(xAxis.y, xAxis.x),
+        yaw: Math.asin(Math.min(Math.max(xAxis.z, -1), 1)),
+        pitch: Math.asin(Math.min(Math.max(yAxis.z, -1), 1)),
+        xAxis,
+        yAxis
+    };
+}
+
+/**
+ * Builds the transform filters draw through for one face
+ *
+ * `landmarks` are the face's landmarks with roll and foreshortening undone, so
+ * a filter can lay out axis-aligned shapes from them as if the face looked
+ * straight at the camera. Drawing with `matrix` applied maps those shapes back
+ * onto the real face; every landmark ends up exactly where it was detected.
+ *
+ * @param {Array} landmarks - Normalized Face Mesh landmarks
+ * @returns {{roll: number, yaw: number, pitch: number, scale: number,
+ *           matrix: {a: number, b: number, c: number, d: number, e: number, f: number},
+ *           landmarks: Array}}
+ */
+function getFaceTransform(landmarks) {
+    const pose = estimateHeadPose(landmarks);
+
+    // Projected face axes, kept from collapsing when the head turns far away
+    let xAxis = limitForeshortening({ x: pose.xAxis.x, y: pose.xAxis.y });
+    let yAxis = limitForeshortening({ x: pose.yAxis.x, y: pose.yAxis.y });
+    if (Math.abs(xAxis.x * yAxis.y - xAxis.y * yAxis.x) < 1e-6) {
+        // Degenerate pose, draw without the transform
+        xAxis = { x: 1, y: 0 };
+        yAxis = { x: 0, y: 1 };
+    }
+
+    // Rotate and foreshorten around the point between the eyes
+    const origin = {
+        x: (landmarks[FACE_LANDMARKS.leftEye].x + landmarks[FACE_LANDMARKS.rightEye].x) / 2 * canvas.width,
+        y: (landmarks[FACE_LANDMARKS.leftEye].y + landmarks[FACE_LANDMARKS.rightEye].y) / 2 * canvas.height
+    };
+    const matrix = {
+        a: xAxis.x,
+        b: xAxis.y,
+        c: yAxis.x,
+        d: yAxis.y,
+        e: origin.x - xAxis.x * origin.x - yAxis.x * origin.y,
+        f: origin.y - xAxis.y * origin.x - yAxis.y * origin.y
+    };
+
+    // Map every landmark through the inverse transform
+    const determinant = matrix.a * matrix.d - matrix.b * matrix.c;
+    const frontalLandmarks = landmarks.map(point => {
+        const x = point.x * canvas.width - matrix.e;
+        const y = point.y * canvas.height - matrix.f;
+        return {
+            x: (matrix.d * x - matrix.c * y) / determinant / canvas.width,
+            y: (matrix.a * y - matrix.b * x) / determinant / canvas.height,
+            z: point.z
+        };
+    });
+
+    const leftTemple = landmarks[FACE_LANDMARKS.leftTemple];
+    const rightTemple = landmarks[FACE_LANDMARKS.rightTemple];
+    return {
+        roll: pose.roll,
+        yaw: pose.yaw,
+        pitch: pose.pitch,
+        scale: Math.hypot(
+            (rightTemple.x - leftTemple.x) * canvas.width,
+            (rightTemple.y - leftTemple.y) * canvas.height,
+            ((rightTemple.z || 0) - (leftTemple.z || 0)) * canvas.width
+        ),
+        matrix,
+        landmarks: frontalLandmarks
+    };
+}
+
+/**
+ * Applies a face transform to the current canvas context
+ */
+function applyFaceTransform(transform) {
+    const { a, b, c, d, e, f } = transform.matrix;
+    ctx.transform(a, b, c, d, e, f);
+}
+
+/**
+ * Stretches a projected axis so it is at least MIN_FORESHORTENING long
+ */
+function limitForeshortening(axis) {
+    const length = Math.hypot(axis.x, axis.y);
+    if (length >= MIN_FORESHORTENING || length === 0) return axis;
+    return {
+        x: axis.x / length * MIN_FORESHORTENING,
+        y: axis.y / length * MIN_FORESHORTENING
+    };
+}
+
+function subtractVectors(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function dotVectors(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function normalizeVector(vector) {
+    const length = Math.hypot(vector.x, vector.y, vector.z) || 1;
+    return { x: vector.x / length, y: vector.y / length, z: vector.z / length };
+}
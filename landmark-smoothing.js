@@ -0,0 +1,71 @@
+// Temporal landmark smoothing for AR filters
+//
+// Raw Face Mesh landmarks jitter by a pixel or two every frame even when the
+// head is still. A One Euro filter (Casiez et al., CHI 2012) is a low-pass
+// filter whose cutoff rises with speed: heavy smoothing while the face holds
+// still, little lag when it moves quickly.
+
+// Default smoothing parameters, in normalized landmark units per second
+const DEFAULT_SMOOTHING = {
+    minCutoff: 1.5, // Cutoff frequency in Hz when the face is still; lower is smoother
+    beta: 10,       // How quickly the cutoff rises with speed; higher reduces lag
+    dCutoff: 1.0    // Cutoff frequency in Hz for the speed estimate
+};
+
+/**
+ * Creates a One Euro smoother for a set of landmarks
+ * @param {Object} [options] - Smoothing parameters overriding DEFAULT_SMOOTHING
+ * @returns {{smooth: Function, reset: Function}} `smooth(landmarks, timestamp)`
+ *          returns smoothed copies of the landmarks; `reset()` forgets the history
+ */
+function createLandmarkSmoother(options) {
+    const { minCutoff, beta, dCutoff } = { ...DEFAULT_SMOOTHING, ...options };
+    let values = null;      // Last smoothed x, y, z of every landmark
+    let speeds = null;      // Last smoothed speed of every coordinate
+    let lastTimestamp = 0;
+
+    // Smoothing factor of an exponential filter with the given cutoff
+    const alpha = (cutoff, dt) => {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    };
+
+    function smooth(landmarks, timestamp) {
+        // Start over when there is no history or the mesh size changed
+        if (!values || values.length !== landmarks.length * 3) {
+            values = new Float32Array(landmarks.length * 3);
+            speeds = new Float32Array(landmarks.length * 3);
+            landmarks.forEach((point, i) => {
+                values[i * 3] = point.x;
+                values[i * 3 + 1] = point.y;
+                values[i * 3 + 2] = point.z || 0;
+            });
+            lastTimestamp = timestamp;
+            return landmarks.map(point => ({ x: point.x, y: point.y, z: point.z || 0 }));
+        }
+
+        const dt = timestamp > lastTimestamp ? (timestamp - lastTimestamp) / 1000 : 1 / 30;
+        lastTimestamp = timestamp;
+        const speedAlpha = alpha(dCutoff, dt);
+
+        return landmarks.map((point, i) => {
+            const raw = [point.x, point.y, point.z || 0];
+            const smoothed = raw.map((value, axis) => {
+                const k = i * 3 + axis;
+                const speed = speeds[k] + speedAlpha * ((value - values[k]) / dt - speeds[k]);
+                const cutoff = minCutoff + beta * Math.abs(speed);
+                speeds[k] = speed;
+                values[k] += alpha(cutoff, dt) * (value - values[k]);
+                return values[k];
+            });
+            return { x: smoothed[0], y: smoothed[1], z: smoothed[2] };
+        });
+    }
+
+    function reset() {
+        values = null;
+        speeds = null;
+    }
+
+    return { smooth, reset };
+}
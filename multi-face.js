@@ -0,0 +1,123 @@
+// Multi-face (group) mode
+//
+// In group mode Face Mesh tracks several faces and each face can wear its own
+// filters. Faces are identified by the persistent face id from the face
+// tracker; per-face state such as the mouth sound cooldown lives in faceStates
+// under that id until the face leaves.
+
+let isGroupMode = false;        // Tracks whether several faces are tracked
+let groupMaxFaces = 4;          // Faces tracked in group mode
+let faceAssignmentMode = 'shared'; // 'shared', 'assigned' or 'rotate'
+let faceFilterAssignments = new Map(); // Filter ids assigned to each face id
+let faceRotationInterval = 5000; // Milliseconds between rotation steps, 0 to keep faces on one filter
+let faceStates = new Map();     // Per-face state keyed by face id
+let soloAssignmentMode = null;  // Assignment mode to restore when the controls leave group mode
+
+const FACE_ASSIGNMENT_MODES = ['shared', 'assigned', 'rotate'];
+
+/**
+ * Turns group mode on or off
+ * @param {boolean} enabled - Whether to track several faces
+ * @param {number} [maxNumFaces] - Faces to track in group mode
+ */
+function setGroupMode(enabled, maxNumFaces = groupMaxFaces) {
+    isGroupMode = enabled;
+    groupMaxFaces = Math.max(1, Math.floor(maxNumFaces));
+    if (faceMesh) {
+        faceMesh.setOptions({ maxNumFaces: isGroupMode ? groupMaxFaces : 1 });
+    }
+
+    const groupButton = document.getElementById('toggleGroup');
+    if (groupButton) {
+        groupButton.classList.toggle('active', isGroupMode);
+    }
+}
+
+/**
+ * Toggles group mode from the controls, rotating filters between faces
+ * Leaving group mode restores the assignment mode used before it.
+ */
+function toggleGroupMode() {
+    if (!isGroupMode) {
+        soloAssignmentMode = faceAssignmentMode;
+        setFaceAssignmentMode('rotate');
+    } else if (soloAssignmentMode) {
+        setFaceAssignmentMode(soloAssignmentMode);
+        soloAssignmentMode = null;
+    }
+    setGroupMode(!isGroupMode);
+}
+
+/**
+ * Chooses how filters are assigned to faces
+ * - shared: every face wears the active filters
+ * - assigned: faces wear the filters given to assignFiltersToFace, or the active ones
+ * - rotate: faces take turns through the registered filters
+ * @param {string} mode - One of FACE_ASSIGNMENT_MODES
+ * @returns {boolean} True if the mode is valid
+ */
+function setFaceAssignmentMode(mode) {
+    if (!FACE_ASSIGNMENT_MODES.includes(mode)) {
+        console.warn(`Unknown face assignment mode "${mode}"`);
+        return false;
+    }
+    faceAssignmentMode = mode;
+    return true;
+}
+
+/**
+ * Assigns filters to one face, used in the 'assigned' mode
+ * @param {number} faceId - Face the filters are for
+ * @param {string|string[]|null} ids - Filter id(s), or null to clear the assignment
+ * @returns {boolean} True if every filter exists
+ */
+function assignFiltersToFace(faceId, ids) {
+    if (ids === null) {
+        faceFilterAssignments.delete(faceId);
+        return true;
+    }
+    const filterIds = Array.isArray(ids) ? ids : [ids];
+    const unknownId = filterIds.find(id => !filterRegistry.has(id));
+    if (unknownId !== undefined) {
+        console.warn(`Unknown filter "${unknownId}"`);
+        return false;
+    }
+    faceFilterAssignments.set(faceId, filterIds);
+    return true;
+}
+
+/**
+ * Returns the ids of the filters a face wears this frame
+ * @param {number} faceId - Face to look up
+ * @returns {string[]} Filter ids
+ */
+function getFaceFilterIds(faceId) {
+    if (faceAssignmentMode === 'assigned' && faceFilterAssignments.has(faceId)) {
+        return faceFilterAssignments.get(faceId).filter(id => filterRegistry.has(id));
+    }
+    if (faceAssignmentMode === 'rotate') {
+        const ids = Array.from(filterRegistry.keys());
+        if (ids.length === 0) return [];
+        const step = faceRotationInterval > 0 ? Math.floor(Date.now() / faceRotationInterval) : 0;
+        return [ids[(faceId + step) % ids.length]];
+    }
+    return activeFilterIds;
+}
+
+/**
+ * Returns the state kept for a face, creating it on first use
+ * @param {number} faceId - Face to look up
+ * @returns {{lastMouthOpenTime: number, expressions: Object}}
+ */
+function getFaceState(faceId) {
+    if (!faceStates.has(faceId)) {
+        faceStates.set(faceId, { lastMouthOpenTime: 0, expressions: createExpressionState() });
+    }
+    return faceStates.get(faceId);
+}
+
+// Forget the state and assignments of faces that have left
+faceTrackerEvents.addEventListener('leave', event => {
+    faceStates.delete(event.detail.faceId);
+    faceFilterAssignments.delete(event.detail.faceId);
+});
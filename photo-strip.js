@@ -0,0 +1,133 @@
+// Burst capture and photo-booth strip
+//
+// A burst takes burstShotCount photos burstInterval apart and lays them out
+// one above the other like a classic photo-booth strip, with an optional
+// header line and a border theme, then saves the strip to the gallery as one
+// PNG.
+
+const STRIP_THEMES = {
+    classic: { background: '#ffffff', frame: '#ffffff', text: '#222222', font: 'serif' },
+    noir: { background: '#111111', frame: '#f5f5f5', text: '#f5f5f5', font: 'serif' },
+    neon: { background: '#0b0221', frame: '#00eaff', text: '#ff2fd6', font: 'sans-serif' },
+    gold: { background: '#1c1408', frame: '#d4af37', text: '#d4af37', font: 'serif' }
+};
+
+let burstShotCount = 4;         // Photos in a burst
+let burstInterval = 1500;       // Milliseconds between the photos of a burst
+let stripHeaderText = '';       // Line printed above the photos, empty for none
+let stripTheme = 'classic';     // Key of STRIP_THEMES
+let stripPhotoWidth = 480;      // Width of each photo on the strip in pixels
+let burstShots = null;          // Photos of the running burst
+let burstTimer = null;          // Timeout of the next shot
+
+/**
+ * Starts a burst; the strip is saved to the gallery after the last shot
+ * @returns {boolean} True if a burst was started
+ */
+function startBurst() {
+    if (!isARActive || burstShots) return false;
+    burstShots = [];
+
+    const shoot = () => {
+        const photo = captureView();
+        if (!photo) {
+            cancelBurst();
+            return;
+        }
+        burstShots.push(photo);
+        updateBurstButton();
+        if (burstShots.length < burstShotCount) {
+            burstTimer = setTimeout(shoot, burstInterval);
+            return;
+        }
+
+        const strip = composePhotoStrip(burstShots);
+        cancelBurst();
+        strip.toBlob(blob => saveCapture(blob, 'strip'), 'image/png');
+    };
+    updateBurstButton();
+    burstTimer = setTimeout(shoot, burstInterval);
+    return true;
+}
+
+/**
+ * Stops a running burst, dropping the photos taken so far
+ */
+function cancelBurst() {
+    clearTimeout(burstTimer);
+    burstTimer = null;
+    burstShots = null;
+    updateBurstButton();
+}
+
+/**
+ * Chooses the border theme and header of the strips
+ * @param {Object} options - Settings to change
+ * @param {string} [options.theme] - Key of STRIP_THEMES
+ * @param {string} [options.headerText] - Line above the photos, empty for none
+ * @returns {boolean} True if the theme exists
+ */
+function setPhotoStripStyle(options) {
+    if (options.theme !== undefined && !STRIP_THEMES[options.theme]) {
+        console.warn(`Unknown photo strip theme "${options.theme}"`);
+        return false;
+    }
+    if (options.theme !== undefined) stripTheme = options.theme;
+    if (options.headerText !== undefined) stripHeaderText = options.headerText;
+    return true;
+}
+
+/**
+ * Lays photos out as a vertical photo-booth strip
+ * @param {HTMLCanvasElement[]} photos - Photos from top to bottom
+ * @returns {HTMLCanvasElement} The strip
+ */
+function composePhotoStrip(photos) {
+    const theme = STRIP_THEMES[stripTheme];
+    const margin = Math.round(stripPhotoWidth * 0.06);
+    const frameWidth = Math.max(2, Math.round(stripPhotoWidth * 0.012));
+    const photoHeight = Math.round(stripPhotoWidth * 3 / 4); // Classic 4:3 frames
+    const headerHeight = stripHeaderText ? Math.round(stripPhotoWidth * 0.2) : 0;
+    const footerHeight = Math.round(stripPhotoWidth * 0.12);
+
+    const strip = document.createElement('canvas');
+    strip.width = stripPhotoWidth + margin * 2;
+    strip.height = headerHeight + margin + photos.length * (photoHeight + margin) + footerHeight;
+    const stripCtx = strip.getContext('2d');
+
+    stripCtx.fillStyle = theme.background;
+    stripCtx.fillRect(0, 0, strip.width, strip.height);
+    stripCtx.fillStyle = theme.text;
+    stripCtx.textAlign = 'center';
+    stripCtx.textBaseline = 'middle';
+    if (stripHeaderText) {
+        stripCtx.font = `bold ${Math.round(headerHeight * 0.4)}px ${theme.font}`;
+        stripCtx.fillText(stripHeaderText, strip.width / 2, margin / 2 + headerHeight / 2, stripPhotoWidth);
+    }
+
+    // Photos, cropped to 4:3 around their centre, each in a frame
+    photos.forEach((photo, i) => {
+        const x = margin;
+        const y = headerHeight + margin + i * (photoHeight + margin);
+        const scale = Math.max(stripPhotoWidth / photo.width, photoHeight / photo.height);
+        const cropWidth = stripPhotoWidth / scale;
+        const cropHeight = photoHeight / scale;
+        stripCtx.drawImage(photo,
+            (photo.width - cropWidth) / 2, (photo.height - cropHeight) / 2, cropWidth, cropHeight,
+            x, y, stripPhotoWidth, photoHeight);
+        stripCtx.strokeStyle = theme.frame;
+        stripCtx.lineWidth = frameWidth;
+        stripCtx.strokeRect(x - frameWidth / 2, y - frameWidth / 2, stripPhotoWidth + frameWidth, photoHeight + frameWidth);
+    });
+
+    // Date along the bottom
+    stripCtx.font = `${Math.round(footerHeight * 0.35)}px ${theme.font}`;
+    stripCtx.fillText(new Date().toLocaleDateString(), strip.width / 2, strip.height - footerHeight / 2);
+    return strip;
+}
+
+function updateBurstButton() {
+    const button = document.getElementById('startBurst');
+    button.classList.toggle('counting', burstShots !== null);
+    button.textContent = burstShots ? `${burstShots.length}/${burstShotCount}` : 'BURST';
+}
@@ -0,0 +1,387 @@
+// QR code encoder
+//
+// Encodes text as a QR code in byte mode with error correction level M, which
+// still scans with 15% of the code damaged or glared. Versions 1 to 10 are
+// supported, enough for 213 bytes: share links are far shorter. The encoder
+// follows ISO/IEC 18004: the data is split into blocks with Reed-Solomon error
+// correction, placed in a zigzag around the function patterns, and masked
+// with whichever of the eight masks gives the lowest penalty.
+
+const QR_MAX_VERSION = 10;
+const QR_ECC_CODEWORDS_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26]; // Level M, by version
+const QR_ERROR_CORRECTION_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];           // Level M, by version
+const QR_LEVEL_M_BITS = 0b00;
+
+/**
+ * Encodes text as a QR code
+ * @param {string} text - Text to encode, as UTF-8
+ * @returns {{size: number, modules: boolean[][]}|null} Dark modules by row and
+ *          column, or null if the text is too long
+ */
+function createQrCode(text) {
+    const data = new TextEncoder().encode(text);
+
+    // Smallest version the data fits in
+    let version = 1;
+    while (version <= QR_MAX_VERSION && 4 + getQrCountBits(version) + data.length * 8 > getQrDataCodewords(version) * 8) {
+        version++;
+    }
+    if (version > QR_MAX_VERSION) {
+        console.warn(`Text of ${data.length} bytes is too long for a QR code`);
+        return null;
+    }
+
+    // Mode, length, data, terminator and padding
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    const capacity = getQrDataCodewords(version) * 8;
+    appendBits(0b0100, 4);
+    appendBits(data.length, getQrCountBits(version));
+    data.forEach(byte => appendBits(byte, 8));
+    appendBits(0, Math.min(4, capacity - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+        appendBits(pad, 8);
+    }
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    drawQrFunctionPatterns(version, modules, reserved);
+    placeQrCodewords(addQrErrorCorrection(version, codewords), modules, reserved);
+
+    // Keep the mask that is easiest to scan
+    let best = null;
+    for (let mask = 0; mask < 8; mask++) {
+        const masked = modules.map(row => row.slice());
+        applyQrMask(mask, masked, reserved);
+        drawQrFormatBits(mask, masked);
+        const penalty = getQrPenalty(masked);
+        if (!best || penalty < best.penalty) best = { penalty, modules: masked };
+    }
+    return { size, modules: best.modules };
+}
+
+/**
+ * Draws a QR code with a light border of four modules
+ * @param {CanvasRenderingContext2D} targetCtx - Context to draw into
+ * @param {{size: number, modules: boolean[][]}} qr - Code from createQrCode()
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Width and height of the drawn code, border included
+ */
+function drawQrCode(targetCtx, qr, x, y, width) {
+    const moduleSize = width / (qr.size + 8);
+    targetCtx.fillStyle = '#ffffff';
+    targetCtx.fillRect(x, y, width, width);
+    targetCtx.fillStyle = '#000000';
+    qr.modules.forEach((row, rowIndex) => row.forEach((dark, column) => {
+        if (!dark) return;
+        // Round the edges so neighbouring modules leave no hairline gaps
+        const left = Math.floor(x + (column + 4) * moduleSize);
+        const top = Math.floor(y + (rowIndex + 4) * moduleSize);
+        targetCtx.fillRect(left, top,
+            Math.floor(x + (column + 5) * moduleSize) - left,
+            Math.floor(y + (rowIndex + 5) * moduleSize) - top);
+    }));
+}
+
+function getQrCountBits(version) {
+    return version < 10 ? 8 : 16;
+}
+
+/**
+ * Counts the codewords of a version available for data, after error correction
+ */
+function getQrDataCodewords(version) {
+    return Math.floor(getQrRawModules(version) / 8) -
+        QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_ERROR_CORRECTION_BLOCKS[version];
+}
+
+/**
+ * Counts the modules of a version left for codewords by the function patterns
+ */
+function getQrRawModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignmentCount = Math.floor(version / 7) + 2;
+        result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+/**
+ * Returns the row and column centres of a version's alignment patterns
+ */
+function getQrAlignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = version * 4 + 10; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+/**
+ * Draws the finder, timing and alignment patterns and the version information,
+ * and reserves the format information area
+ */
+function drawQrFunctionPatterns(version, modules, reserved) {
+    const size = modules.length;
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([centerX, centerY]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = centerX + dx;
+                const y = centerY + dy;
+                if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    // Alignment patterns, except where they would overlap the finders
+    const positions = getQrAlignmentPositions(version);
+    positions.forEach((centerY, i) => positions.forEach((centerX, j) => {
+        const last = positions.length - 1;
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                set(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }));
+
+    // Format information is drawn once the mask is chosen
+    drawQrFormatBits(0, modules, reserved);
+
+    // Version information, from version 7
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+}
+
+/**
+ * Draws the error correction level and mask next to the finder patterns
+ * @param {boolean[][]} [reserved] - Also marks the modules as reserved when given
+ */
+function drawQrFormatBits(mask, modules, reserved) {
+    const size = modules.length;
+    const data = (QR_LEVEL_M_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const set = (x, y, i) => {
+        modules[y][x] = ((bits >>> i) & 1) === 1;
+        if (reserved) reserved[y][x] = true;
+    };
+
+    // Around the top left finder
+    for (let i = 0; i <= 5; i++) set(8, i, i);
+    set(8, 7, 6);
+    set(8, 8, 7);
+    set(7, 8, 8);
+    for (let i = 9; i < 15; i++) set(14 - i, 8, i);
+
+    // Split between the other two finders, with the always dark module
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, i);
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, i);
+    modules[size - 8][8] = true;
+    if (reserved) reserved[size - 8][8] = true;
+}
+
+/**
+ * Splits the data into blocks, adds Reed-Solomon error correction to each and
+ * interleaves them
+ * @returns {number[]} Codewords in placement order
+ */
+function addQrErrorCorrection(version, data) {
+    const blockCount = QR_ERROR_CORRECTION_BLOCKS[version];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(getQrRawModules(version) / 8);
+    const shortBlockCount = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = getQrReedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const dataLength = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+        const blockData = data.slice(offset, offset + dataLength);
+        offset += dataLength;
+        blocks.push({ data: blockData, ecc: getQrReedSolomonRemainder(blockData, divisor) });
+    }
+
+    const result = [];
+    for (let i = 0; i < shortBlockLength - eccLength + 1; i++) {
+        blocks.forEach(block => { if (i < block.data.length) result.push(block.data[i]); });
+    }
+    for (let i = 0; i < eccLength; i++) {
+        blocks.forEach(block => result.push(block.ecc[i]));
+    }
+    return result;
+}
+
+/**
+ * Multiplies two numbers in GF(2^8) with the QR code polynomial
+ */
+function multiplyQrField(x, y) {
+    let product = 0;
+    for (let i = 7; i >= 0; i--) {
+        product = (product << 1) ^ ((product >>> 7) * 0x11d);
+        product ^= ((y >>> i) & 1) * x;
+    }
+    return product;
+}
+
+/**
+ * Returns the generator polynomial for `degree` error correction codewords
+ */
+function getQrReedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = multiplyQrField(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = multiplyQrField(root, 0x02);
+    }
+    return result;
+}
+
+function getQrReedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => { result[i] ^= multiplyQrField(coefficient, factor); });
+    });
+    return result;
+}
+
+/**
+ * Places the codewords in two-column zigzags from the bottom right corner,
+ * skipping the reserved modules
+ */
+function placeQrCodewords(codewords, modules, reserved) {
+    const size = modules.length;
+    let bit = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5; // Skip the vertical timing pattern
+        for (let step = 0; step < size; step++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - step : step;
+                if (reserved[y][x] || bit >= codewords.length * 8) continue;
+                modules[y][x] = ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+                bit++;
+            }
+        }
+    }
+}
+
+function applyQrMask(mask, modules, reserved) {
+    const conditions = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => x * y % 2 + x * y % 3 === 0,
+        (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (!reserved[y][x] && conditions[mask](x, y)) row[x] = !dark;
+    }));
+}
+
+/**
+ * Scores how hard a masked code is to scan: long runs, blocks, finder-like
+ * patterns and an uneven balance of dark and light modules all add penalty
+ */
+function getQrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i]);
+        lines.push(modules.map(row => row[i]));
+    }
+
+    lines.forEach(line => {
+        // Runs of five or more modules of one colour
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+                continue;
+            }
+            if (run >= 5) penalty += run - 2;
+            run = 1;
+        }
+
+        // Patterns that look like a finder: dark-light-dark-dark-dark-light-dark
+        // with four light modules on one side
+        const padded = [false, false, false, false, ...line, false, false, false, false];
+        for (let i = 0; i + 11 <= padded.length; i++) {
+            const core = padded[i + 4] && !padded[i + 5] && padded[i + 6] && padded[i + 7] &&
+                padded[i + 8] && !padded[i + 9] && padded[i + 10];
+            if (!core) continue;
+            const lightBefore = !padded[i] && !padded[i + 1] && !padded[i + 2] && !padded[i + 3];
+            const lightAfter = i + 14 < padded.length &&
+                !padded[i + 11] && !padded[i + 12] && !padded[i + 13] && !padded[i + 14];
+            if (lightBefore || lightAfter) penalty += 40;
+        }
+    });
+
+    // Two by two blocks of one colour
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+    }
+
+    // Balance of dark modules, in steps of 5% away from half
+    penalty += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+    return penalty;
+}
@@ -0,0 +1,253 @@
+// Video recording
+//
+// While recording, every frame the camera image and the overlay are drawn
+// onto a compositing canvas whose stream is recorded with MediaRecorder. The
+// app's sounds are mixed into the recording through one Web Audio graph:
+// the music and sound effect elements and generated sounds such as the
+// countdown ticks all play through getAppAudioOutput(), and the microphone is
+// added when recordMicrophone is set. The sound effects are served from the
+// app's own audio/ folder, since files from other origins cannot be mixed in.
+// Recordings stop by themselves after recordingMaxSeconds and are saved to
+// the gallery as WebM.
+
+const RECORDING_MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+const RECORDED_AUDIO_ELEMENTS = ['bgMusic', 'catSound', 'captureSound']; // Ids of the audio elements mixed in
+
+let recordingMaxSeconds = 60;   // Recordings stop by themselves after this long
+let recordingFrameRate = 30;    // Frame rate of the recorded stream
+let recordMicrophone = false;   // Whether the microphone is mixed into recordings
+let mediaRecorder = null;       // MediaRecorder of the running recording
+let recordingStarting = null;   // Token of a start waiting for the audio mix, cleared to cancel it
+let recordedChunks = [];        // Data of the running recording
+let recordingStart = null;      // Time the running recording started
+let recordingTimer = null;      // Interval updating the elapsed time
+let recordCanvas;               // Compositing canvas the recording is taken from
+let recordCtx;                  // Context of the compositing canvas
+let appAudioContext = null;     // Audio context shared by generated sounds and the recording mix
+let appAudioOutput = null;      // Gain node generated sounds play through
+let recordingAudio = null;      // Destination node and microphone of the running recording's mix
+let routedAudioElements = new Set(); // Audio elements already routed, or skipped, by routeAudioElements
+
+/**
+ * Returns the audio context shared by the app's generated sounds
+ * @returns {AudioContext}
+ */
+function getAppAudioContext() {
+    if (!appAudioContext) {
+        appAudioContext = new AudioContext();
+        appAudioOutput = appAudioContext.createGain();
+        appAudioOutput.connect(appAudioContext.destination);
+    }
+    if (appAudioContext.state === 'suspended') {
+        appAudioContext.resume();
+    }
+    return appAudioContext;
+}
+
+/**
+ * Returns the node generated sounds connect to, so recordings include them
+ * @returns {AudioNode}
+ */
+function getAppAudioOutput() {
+    getAppAudioContext();
+    return appAudioOutput;
+}
+
+/**
+ * Starts or stops recording, for the record button
+ */
+function toggleRecording() {
+    if (mediaRecorder || recordingStarting) {
+        stopRecording();
+    } else {
+        startRecording();
+    }
+}
+
+/**
+ * Starts recording the composited AR view and the app's audio
+ * @returns {Promise<boolean>} True if recording started
+ */
+async function startRecording() {
+    if (!isARActive || mediaRecorder || recordingStarting) return false;
+    if (typeof MediaRecorder === 'undefined') {
+        console.warn('Recording is not supported in this browser');
+        return false;
+    }
+
+    recordCanvas = recordCanvas || document.createElement('canvas');
+    recordCtx = recordCtx || recordCanvas.getContext('2d');
+    sizeRecordCanvas();
+    drawCompositedView(recordCtx, recordCanvas.width, recordCanvas.height);
+
+    // The microphone prompt can take a while; AR may stop or the recording be
+    // cancelled meanwhile
+    const starting = recordingStarting = {};
+    const audio = await createRecordingAudio();
+    if (recordingStarting !== starting || !isARActive) {
+        releaseRecordingAudio(audio);
+        return false;
+    }
+    recordingStarting = null;
+    recordingAudio = audio;
+
+    const stream = recordCanvas.captureStream(recordingFrameRate);
+    recordingAudio.destination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+
+    const mimeType = RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    try {
+        mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    } catch (error) {
+        console.error('Error starting recording:', error);
+        releaseRecordingAudio();
+        return false;
+    }
+
+    recordedChunks = [];
+    mediaRecorder.ondataavailable = event => {
+        if (event.data.size > 0) recordedChunks.push(event.data);
+    };
+    mediaRecorder.onstop = finishRecording;
+    mediaRecorder.start(1000);
+
+    recordingStart = performance.now();
+    recordingTimer = setInterval(updateRecordingTime, 250);
+    updateRecordingTime();
+    document.getElementById('toggleRecording').classList.add('recording');
+    document.getElementById('recordingTime').classList.remove('hidden');
+    return true;
+}
+
+/**
+ * Stops the running recording; the video is saved to the gallery once it is encoded
+ */
+function stopRecording() {
+    recordingStarting = null;
+    if (!mediaRecorder || mediaRecorder.state === 'inactive') return;
+    mediaRecorder.stop();
+}
+
+/**
+ * Copies the current frame to the compositing canvas while recording
+ * Called at the end of every frame.
+ */
+function updateRecording() {
+    if (!mediaRecorder) return;
+    sizeRecordCanvas();
+    drawCompositedView(recordCtx, recordCanvas.width, recordCanvas.height);
+}
+
+/**
+ * Matches the compositing canvas to the captured part of the camera frame
+ */
+function sizeRecordCanvas() {
+    // Encoders want even dimensions
+    const region = getCaptureRegion();
+    const width = Math.round(region.width / 2) * 2;
+    const height = Math.round(region.height / 2) * 2;
+    if (recordCanvas.width !== width || recordCanvas.height !== height) {
+        recordCanvas.width = width;
+        recordCanvas.height = height;
+    }
+}
+
+/**
+ * Shows the elapsed time and stops at the maximum length
+ */
+function updateRecordingTime() {
+    const elapsed = (performance.now() - recordingStart) / 1000;
+    if (elapsed >= recordingMaxSeconds) {
+        stopRecording();
+    }
+    const format = seconds => {
+        const whole = Math.floor(Math.min(seconds, recordingMaxSeconds));
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    };
+    document.getElementById('recordingTime').textContent =
+        `● ${format(elapsed)} / ${format(recordingMaxSeconds)}`;
+}
+
+function finishRecording() {
+    clearInterval(recordingTimer);
+    recordingTimer = null;
+    releaseRecordingAudio();
+    document.getElementById('toggleRecording').classList.remove('recording');
+    document.getElementById('recordingTime').classList.add('hidden');
+
+    const blob = new Blob(recordedChunks, { type: mediaRecorder.mimeType || 'video/webm' });
+    mediaRecorder = null;
+    recordedChunks = [];
+    if (blob.size === 0) return;
+    saveCapture(blob, 'video');
+}
+
+/**
+ * Mixes the app's sounds, and the microphone if enabled, into one stream
+ * @returns {Promise<{destination: MediaStreamAudioDestinationNode, microphone: MediaStream|null, microphoneSource: AudioNode|null}>}
+ */
+async function createRecordingAudio() {
+    const audioContext = getAppAudioContext();
+    const destination = audioContext.createMediaStreamDestination();
+
+    // Generated sounds, and the music and sound effect elements
+    routeAudioElements();
+    appAudioOutput.connect(destination);
+
+    // Microphone
+    let microphone = null;
+    let microphoneSource = null;
+    if (recordMicrophone) {
+        try {
+            microphone = await navigator.mediaDevices.getUserMedia({ audio: true });
+            microphoneSource = audioContext.createMediaStreamSource(microphone);
+            microphoneSource.connect(destination);
+        } catch (error) {
+            console.warn('Could not record the microphone:', error);
+        }
+    }
+    return { destination, microphone, microphoneSource };
+}
+
+/**
+ * Plays the music and sound effect elements through the app output so
+ * recordings hear them
+ * Unlike captureStream(), which mutes the element in Firefox, this keeps them
+ * audible. An element can only be routed once, and files from other origins
+ * without CORS would turn silent, so those are left alone.
+ */
+function routeAudioElements() {
+    RECORDED_AUDIO_ELEMENTS.forEach(id => {
+        const element = document.getElementById(id);
+        if (!element || routedAudioElements.has(element)) return;
+        routedAudioElements.add(element);
+
+        const src = element.currentSrc || element.querySelector('source')?.src || '';
+        if (new URL(src, location.href).origin !== location.origin && !element.crossOrigin) {
+            console.warn(`Could not record the audio of "${id}": it is from another origin`);
+            return;
+        }
+        try {
+            appAudioContext.createMediaElementSource(element).connect(appAudioOutput);
+        } catch (error) {
+            console.warn(`Could not record the audio of "${id}":`, error);
+        }
+    });
+}
+
+/**
+ * Disconnects a recording's mix and stops its microphone
+ * @param {Object} [audio=recordingAudio] - Mix from createRecordingAudio()
+ */
+function releaseRecordingAudio(audio = recordingAudio) {
+    if (!audio) return;
+    appAudioOutput.disconnect(audio.destination);
+    if (audio.microphoneSource) audio.microphoneSource.disconnect();
+    if (audio.microphone) {
+        audio.microphone.getTracks().forEach(track => track.stop());
+    }
+    if (audio === recordingAudio) recordingAudio = null;
+}
@@ -1,10 +1,405 @@
 const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+const accepts = require('./accepts');
+const bodyParser = require('./body-parser');
+const bytes = require('./bytes');
+const contentDisposition = require('./content-disposition');
+const cookie = require('./cookie');
+const cookieSignature = require('./cookie-signature');
 const app = express();
 const port = 3000;
 
+// Captures uploaded by the AR view are kept on this machine, each as its file
+// plus a JSON file with its metadata
+const uploadsDir = path.resolve(process.env.UPLOADS_DIR || './uploads');
+const uploadLimit = bytes.parse(process.env.UPLOAD_LIMIT || '50mb');
+const UPLOAD_TYPES = {
+    'image/png': { extension: '.png', signature: [0x89, 0x50, 0x4e, 0x47] },
+    'image/jpeg': { extension: '.jpg', signature: [0xff, 0xd8, 0xff] },
+    'video/webm': { extension: '.webm', signature: [0x1a, 0x45, 0xdf, 0xa3] }
+};
+const CAPTURE_ID_PATTERN = /^[A-Za-z0-9_-]{8}$/;
+
+// Every visitor gets an anonymous guest id in a signed cookie, and listings
+// only show the captures uploaded with it. The operator sees everything by
+// sending OPERATOR_TOKEN in an X-Operator-Token header; it is never accepted
+// in the URL, where it would end up in logs, history and Referer headers.
+const SESSION_COOKIE = 'arGuest';
+const sessionMaxAge = 60 * 60;           // Seconds a guest session lasts, a visit to the booth
+const sessionSecret = process.env.SESSION_SECRET || loadSessionSecret();
+const operatorToken = process.env.OPERATOR_TOKEN || null;
+
+// Share links must open on guests' phones, so they use this machine's address
+// on the local network unless PUBLIC_URL says otherwise
+const publicUrl = process.env.PUBLIC_URL || `http://${getLanAddress()}:${port}`;
+
+// Uploads are only handed out through the API
+app.use('/uploads', (req, res) => res.sendStatus(404));
+
 // Serve static files from the current directory
 app.use(express.static('./'));
 
+// Serve the MediaPipe models installed with npm
+app.use('/mediapipe', express.static('./node_modules/@mediapipe'));
+
+app.use('/api', guestSession);
+
+// The AR view asks for its guest id to keep its gallery per guest
+app.get('/api/session', (req, res) => {
+    res.json({ guest: req.guestId });
+});
+
+// Start a new guest session, when a new visitor starts the AR experience
+app.post('/api/session', (req, res) => {
+    req.guestId = startGuestSession(res);
+    res.json({ guest: req.guestId });
+});
+
+// Store an uploaded capture, tagged with the guest's session; the body is the
+// file itself
+app.post('/api/photos',
+    bodyParser.raw({ type: Object.keys(UPLOAD_TYPES), limit: uploadLimit }),
+    async (req, res, next) => {
+        // req.is() gives null when there is no body and false for other types
+        const type = req.is(Object.keys(UPLOAD_TYPES));
+        if (type === false) {
+            res.status(415).json({ error: `Uploads must be one of ${Object.keys(UPLOAD_TYPES).join(', ')}` });
+            return;
+        }
+        if (!type || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+            res.status(400).json({ error: 'Upload is empty' });
+            return;
+        }
+        const { extension, signature } = UPLOAD_TYPES[type];
+        if (!signature.every((byte, i) => req.body[i] === byte)) {
+            res.status(400).json({ error: `Body is not a valid ${type} file` });
+            return;
+        }
+
+        const capture = {
+            id: crypto.randomBytes(6).toString('base64url'),
+            kind: typeof req.query.kind === 'string' && /^[a-z]{1,20}$/.test(req.query.kind) ? req.query.kind : 'photo',
+            filter: typeof req.query.filter === 'string' && req.query.filter ? req.query.filter.slice(0, 60) : null,
+            guest: req.guestId,
+            type,
+            size: req.body.length,
+            file: null,
+            createdAt: new Date().toISOString()
+        };
+        capture.file = capture.id + extension;
+        const mediaPath = path.join(uploadsDir, capture.file);
+        try {
+            await fs.mkdir(uploadsDir, { recursive: true });
+            await fs.writeFile(mediaPath, req.body);
+        } catch (error) {
+            next(error);
+            return;
+        }
+
+        // Write the metadata to a temporary file and rename it, so a listing
+        // never reads it half-written; without metadata the file is useless
+        const metadataPath = path.join(uploadsDir, `${capture.id}.json`);
+        try {
+            await fs.writeFile(`${metadataPath}.tmp`, JSON.stringify(capture, null, 2));
+            await fs.rename(`${metadataPath}.tmp`, metadataPath);
+        } catch (error) {
+            await Promise.all([mediaPath, `${metadataPath}.tmp`].map(file => fs.rm(file, { force: true })));
+            next(error);
+            return;
+        }
+        res.status(201).json(capture);
+    });
+
+// List the guest's captures, or all of them for the operator, newest first: a
+// page of thumbnails for browsers, JSON for everything else
+app.get('/api/photos', async (req, res, next) => {
+    try {
+        const operator = isOperator(req);
+        const captures = (await listCaptures()).filter(capture => operator || capture.guest === req.guestId);
+        res.vary('Accept'); // So caches keep the HTML and JSON answers apart
+        if (accepts(req).type(['json', 'html']) === 'html') {
+            res.type('html').send(renderCaptureList(captures, operator));
+        } else {
+            res.json(captures);
+        }
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Download one capture under a name telling what it is, e.g.
+// powerranger-2026-10-19-1432.png. Like the share pages this works for anyone
+// with the id, so a guest's phone can fetch what the kiosk took.
+app.get('/api/photos/:id/download', async (req, res, next) => {
+    try {
+        const capture = await readCapture(req.params.id);
+        if (!capture) {
+            res.status(404).json({ error: 'Capture not found' });
+            return;
+        }
+        // Browsers that cannot read the UTF-8 filename* get the name without accents
+        const name = getDownloadName(capture);
+        const fallback = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '_');
+        res.set('Content-Disposition', contentDisposition(name, { fallback }));
+        res.type(capture.type).sendFile(path.join(uploadsDir, capture.file));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Tell the AR view where share links should point
+app.get('/api/share-base', (req, res) => {
+    res.json({ url: publicUrl });
+});
+
+// Page showing one capture, opened from its QR code
+app.get('/p/:id', async (req, res, next) => {
+    try {
+        const capture = await readCapture(req.params.id);
+        if (!capture) {
+            res.status(404).send('Photo not found');
+            return;
+        }
+        res.send(renderSharePage(capture));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// The file of one capture, shown inline
+app.get('/p/:id/file', async (req, res, next) => {
+    try {
+        const capture = await readCapture(req.params.id);
+        if (!capture) {
+            res.sendStatus(404);
+            return;
+        }
+        res.type(capture.type).sendFile(path.join(uploadsDir, capture.file));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Report API errors, such as an upload over the size limit, as JSON
+app.use('/api', (error, req, res, next) => {
+    const status = error.status || 500;
+    if (status >= 500) console.error(error);
+    res.status(status).json({ error: status >= 500 ? 'Internal server error' : error.message });
+});
+
+/**
+ * Reads the metadata of every stored capture
+ * @returns {Promise<Object[]>} Captures, newest first
+ */
+async function listCaptures() {
+    let names;
+    try {
+        names = await fs.readdir(uploadsDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const captures = await Promise.all(names
+        .filter(name => name.endsWith('.json'))
+        .map(name => readCapture(path.basename(name, '.json'))));
+
+    // Unreadable entries are left out rather than failing the whole listing
+    return captures
+        .filter(capture => capture !== null)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Reads the guest id from the signed session cookie, starting a new session
+ * when there is none, its signature does not match or it has expired
+ */
+function guestSession(req, res, next) {
+    const cookies = cookie.parse(req.headers.cookie || '');
+    const value = cookies[SESSION_COOKIE] && cookieSignature.unsign(cookies[SESSION_COOKIE], sessionSecret);
+
+    // The signed value holds the guest id and when the session started, so an
+    // old cookie is refused even if the browser kept it
+    const [guestId, startedAt] = value ? value.split(':') : [];
+    const age = (Date.now() - Number(startedAt)) / 1000;
+    req.guestId = guestId && age >= 0 && age < sessionMaxAge ? guestId : startGuestSession(res);
+    next();
+}
+
+/**
+ * Gives the visitor a new guest id in the session cookie
+ * @returns {string} The new guest id
+ */
+function startGuestSession(res) {
+    const guestId = crypto.randomBytes(12).toString('base64url');
+    const value = cookieSignature.sign(`${guestId}:${Date.now()}`, sessionSecret);
+
+    // Replaces a cookie guestSession() set earlier in the same request
+    res.setHeader('Set-Cookie', cookie.serialize(SESSION_COOKIE, value, {
+        httpOnly: true,
+        sameSite: 'lax',
+        path: '/',
+        maxAge: sessionMaxAge
+    }));
+    return guestId;
+}
+
+/**
+ * Checks whether a request carries the operator token
+ * @returns {boolean}
+ */
+function isOperator(req) {
+    const token = req.get('X-Operator-Token');
+    if (!operatorToken || typeof token !== 'string') return false;
+
+    // Compare digests so the comparison takes the same time for any token
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(token), digest(operatorToken));
+}
+
+/**
+ * Returns the secret session cookies are signed with, kept in the uploads
+ * directory so guests keep their sessions when the server restarts
+ * @returns {string}
+ */
+function loadSessionSecret() {
+    const file = path.join(uploadsDir, '.session-secret');
+    try {
+        return fsSync.readFileSync(file, 'utf8').trim();
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    const secret = crypto.randomBytes(32).toString('hex');
+    fsSync.mkdirSync(uploadsDir, { recursive: true });
+    fsSync.writeFileSync(file, secret, { mode: 0o600 });
+    return secret;
+}
+
+/**
+ * Reads the metadata of one stored capture
+ * @param {string} id - Capture id
+ * @returns {Promise<Object|null>} The metadata, or null if there is no such
+ *          capture or its metadata cannot be read
+ */
+async function readCapture(id) {
+    if (!CAPTURE_ID_PATTERN.test(id)) return null;
+    let capture;
+    try {
+        capture = JSON.parse(await fs.readFile(path.join(uploadsDir, `${id}.json`), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        console.warn(`Skipping capture ${id}, its metadata cannot be read:`, error.message);
+        return null;
+    }
+    if (!capture || typeof capture.createdAt !== 'string' || typeof capture.file !== 'string') {
+        console.warn(`Skipping capture ${id}, its metadata is incomplete`);
+        return null;
+    }
+    return capture;
+}
+
+/**
+ * Builds the page guests see when they scan a capture's QR code
+ * @param {Object} capture - Capture metadata
+ * @returns {string} HTML
+ */
+function renderSharePage(capture) {
+    const file = `/p/${capture.id}/file`;
+    const media = capture.type.startsWith('video/')
+        ? `<video src="${file}" controls autoplay loop muted playsinline></video>`
+        : `<img src="${file}" alt="Your photo">`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Your AR photo</title>
+    <style>
+        body { margin: 0; padding: 16px; background: #111; color: white; font-family: sans-serif; text-align: center; }
+        img, video { max-width: 100%; max-height: 75vh; border-radius: 8px; }
+        a { display: inline-block; margin-top: 16px; padding: 12px 24px; color: white; border: 2px solid #00eaff; border-radius: 50px; text-decoration: none; }
+    </style>
+</head>
+<body>
+    ${media}
+    <div><a href="/api/photos/${capture.id}/download">Save</a></div>
+</body>
+</html>`;
+}
+
+/**
+ * Builds the page listing captures, for browsers opening /api/photos
+ * @param {Object[]} captures - Capture metadata, newest first
+ * @param {boolean} operator - Whether the list holds every guest's captures
+ * @returns {string} HTML
+ */
+function renderCaptureList(captures, operator) {
+    const items = captures.map(capture => {
+        const media = capture.type.startsWith('video/')
+            ? `<video src="/p/${capture.id}/file" muted preload="metadata"></video>`
+            : `<img src="/p/${capture.id}/file" alt="" loading="lazy">`;
+        return `<li><a href="/p/${capture.id}">${media}</a>` +
+            `<a href="/api/photos/${capture.id}/download">${escapeHtml(getDownloadName(capture))}</a></li>`;
+    });
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>AR captures</title>
+    <style>
+        body { margin: 0; padding: 16px; background: #111; color: white; font-family: sans-serif; }
+        ul { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 12px; padding: 0; list-style: none; }
+        img, video { display: block; width: 100%; aspect-ratio: 1; object-fit: cover; border-radius: 8px; }
+        a { color: #00eaff; font-size: 0.8rem; word-break: break-all; }
+    </style>
+</head>
+<body>
+    <h1>${operator ? 'All' : 'Your'} captures (${captures.length})</h1>
+    <ul>${items.join('')}</ul>
+</body>
+</html>`;
+}
+
+/**
+ * Names a capture's download after its filter and capture time, e.g.
+ * powerranger-2026-10-19-1432.png
+ * @param {Object} capture - Capture metadata
+ * @returns {string}
+ */
+function getDownloadName(capture) {
+    const date = new Date(capture.createdAt);
+    const pad = value => String(value).padStart(2, '0');
+    const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `-${pad(date.getHours())}${pad(date.getMinutes())}`;
+
+    // Letters and digits of any script are kept, e.g. "Café Tigre" gives "cafétigre"
+    const label = (capture.filter || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '') || `ar-${capture.kind}`;
+    return `${label}-${stamp}${path.extname(capture.file)}`;
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Finds this machine's IPv4 address on the local network
+ * @returns {string} The address, or localhost if there is none
+ */
+function getLanAddress() {
+    for (const addresses of Object.values(os.networkInterfaces())) {
+        const lan = addresses.find(address => address.family === 'IPv4' && !address.internal);
+        if (lan) return lan.address;
+    }
+    return 'localhost';
+}
+
 app.listen(port, () => {
     console.log(`Server running at http://localhost:${port}`);
+    console.log(`Share links point at ${publicUrl}`);
+    console.log(`Storing uploads in ${uploadsDir}`);
+    if (!operatorToken) console.log('Set OPERATOR_TOKEN to list every guest\'s captures');
 });
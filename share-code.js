@@ -0,0 +1,53 @@
+// Share codes
+//
+// Once a photo has been uploaded, a QR code linking to its share page on the
+// server is shown over the AR view, so guests can open the photo on their own
+// phone. The link uses the server's address on the local network, which it
+// reports at /api/share-base, since localhost would point at the phone itself.
+
+let shareCodeDuration = 20000;  // Milliseconds a share code stays up
+let shareBaseUrl = null;        // Promise of the address share links start with
+let shareCodeTimer = null;      // Timeout hiding the share code
+
+/**
+ * Returns the address share links start with, asking the server once
+ * @returns {Promise<string>}
+ */
+function getShareBaseUrl() {
+    if (!shareBaseUrl) {
+        shareBaseUrl = fetch('/api/share-base')
+            .then(response => response.json())
+            .then(result => result.url)
+            .catch(error => {
+                console.warn('Could not get the share address, using this page\'s:', error);
+                return location.origin;
+            });
+    }
+    return shareBaseUrl;
+}
+
+/**
+ * Shows the QR code of an uploaded capture's share page
+ * @param {string} id - Id the server gave the capture
+ * @returns {Promise<boolean>} True if the code is shown
+ */
+async function showShareCode(id) {
+    const url = `${await getShareBaseUrl()}/p/${encodeURIComponent(id)}`;
+    const qr = createQrCode(url);
+    if (!qr) return false;
+
+    const codeCanvas = document.getElementById('shareCodeCanvas');
+    drawQrCode(codeCanvas.getContext('2d'), qr, 0, 0, codeCanvas.width);
+    document.getElementById('shareCodeUrl').textContent = url;
+    document.getElementById('shareCode').classList.remove('hidden');
+
+    clearTimeout(shareCodeTimer);
+    shareCodeTimer = setTimeout(hideShareCode, shareCodeDuration);
+    return true;
+}
+
+function hideShareCode() {
+    clearTimeout(shareCodeTimer);
+    shareCodeTimer = null;
+    document.getElementById('shareCode').classList.add('hidden');
+}
@@ -0,0 +1,85 @@
+// Capture upload
+//
+// Captures are sent to the server the app is served from, so at a photo booth
+// they land on the booth machine instead of in each guest's downloads. The
+// server keeps PNG, JPEG and WebM files; other captures such as GIFs stay in
+// the gallery only.
+//
+// Uploads are tagged with the visitor's guest session, which the server keeps
+// in a cookie. Every press of Start AR begins a new guest session, so the next
+// visitor at a shared booth sees neither the server's list nor the gallery of
+// the one before, whose gallery items are deleted.
+
+const UPLOAD_URL = '/api/photos';
+const SESSION_URL = '/api/session';
+const UPLOADABLE_TYPES = ['image/png', 'image/jpeg', 'video/webm'];
+
+let uploadCaptures = true;      // Whether new captures are sent to the server
+let guestId = null;             // Guest id of the current visitor, null without a server
+
+/**
+ * Picks up the guest session the browser already has
+ * @returns {Promise<string|null>} The guest id
+ */
+function loadGuestSession() {
+    return requestGuestSession('GET');
+}
+
+/**
+ * Starts a new guest session for a new visitor
+ * @returns {Promise<string|null>} The new guest id
+ */
+function startGuestSession() {
+    return requestGuestSession('POST');
+}
+
+async function requestGuestSession(method) {
+    try {
+        const response = await fetch(SESSION_URL, { method });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        guestId = (await response.json()).guest;
+    } catch (error) {
+        console.warn('Could not get a guest session:', error);
+        guestId = null;
+    }
+    // The gallery only keeps and shows the current guest's captures
+    await deleteOtherGuestsItems();
+    if (!document.getElementById('galleryDrawer').classList.contains('hidden')) {
+        renderGallery();
+    }
+    return guestId;
+}
+
+/**
+ * Sends a capture to the server
+ * @param {Blob} blob - The captured file
+ * @param {string} kind - Key of CAPTURE_KINDS
+ * @returns {Promise<Object|null>} The server's metadata of the stored capture,
+ *          or null if it was not uploaded
+ */
+async function uploadCapture(blob, kind) {
+    // Recordings are typed e.g. video/webm;codecs=vp9,opus, which the server
+    // cannot parse, so only the plain type is sent
+    const type = blob.type.split(';')[0];
+    if (!uploadCaptures || !UPLOADABLE_TYPES.includes(type)) return null;
+
+    try {
+        // The server names downloads after the filter, e.g. powerranger-2026-10-19-1432.png
+        const filter = filterRegistry.get(activeFilterIds[0])?.name || '';
+        const query = `kind=${encodeURIComponent(kind)}&filter=${encodeURIComponent(filter)}`;
+        const response = await fetch(`${UPLOAD_URL}?${query}`, {
+            method: 'POST',
+            headers: { 'Content-Type': type },
+            body: blob
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            console.warn('Upload rejected:', result.error);
+            return null;
+        }
+        return result;
+    } catch (error) {
+        console.warn('Could not upload capture:', error);
+        return null;
+    }
+}